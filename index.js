@@ -1,34 +1,584 @@
 "use strict";
 
 const metaDb = require('sequelize-db-meta');
+const EventEmitter = require('events');
 let fs = require('mz/fs');
 const type = require('xcane').type;
 const task = require('xcane').task;
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
 const iterable = require('xcane').iterable;
+const sqlMigration = require('./lib/sql');
+const schema = require('./lib/schema');
+const glob = require('./lib/glob');
 let _require = x => require(x);
 
+// dialects whose DDL statements commit implicitly, so that a failed step
+// can not be rolled back
+const nonTransactionalDdl = ['mysql', 'mariadb'];
+
+/**
+ * @desc compares two strings
+ * @param {string} a - first string
+ * @param {string} b - second string
+ * @return {number} - negative, zero or positive if a is less, equal or
+ * greater than b
+ */
+const compareStrings = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+
+  return a < b ? -1 : 1;
+};
+
+/**
+ * @desc compares two non-negative integers of arbitrary length written in
+ * decimal digits
+ * @param {string} a - first integer
+ * @param {string} b - second integer
+ * @return {number} - negative, zero or positive if a is less, equal or
+ * greater than b
+ */
+const compareIntegers = (a, b) => {
+  a = a.replace(/^0+/, '');
+  b = b.replace(/^0+/, '');
+  return a.length === b.length ? compareStrings(a, b) : a.length - b.length;
+};
+
+/**
+ * @desc schemes versions of migrations can be ordered by. each scheme has
+ * a "pattern" version prefixes must match and a "compare" function.
+ */
+const versionSchemes = {
+  string: {
+    pattern: /^/,
+    compare: compareStrings
+  },
+  integer: {
+    pattern: /^\d+$/,
+    compare: compareIntegers
+  },
+  timestamp: {
+    // YYYYMMDD followed by optional hh, mm and ss
+    pattern: /^\d{8}(\d{2}){0,3}$/,
+    compare: (a, b) => compareStrings(
+      `${a}000000`.substr(0, 14), `${b}000000`.substr(0, 14))
+  },
+  semver: {
+    pattern: /^\d+(\.\d+)*$/,
+    compare: (a, b) => {
+      a = a.split('.');
+      b = b.split('.');
+
+      for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const result = compareIntegers(a[i] || '0', b[i] || '0');
+
+        if (result !== 0) {
+          return result;
+        }
+      }
+
+      return 0;
+    }
+  }
+};
+
+/**
+ * @desc converts a version prefix in timestamp form to YYYYMMDDhhmmss
+ * @param {string} version - version of migration
+ * @return {?string} - padded timestamp, null if prefix is not a timestamp
+ */
+const timestampOf = version => {
+  const prefix = version.split('-', 2)[0];
+
+  if (!versionSchemes.timestamp.pattern.test(prefix)) {
+    return null;
+  }
+
+  return `${prefix}000000`.substr(0, 14);
+};
+
+/**
+ * @desc formats a date as YYYYMMDDhhmmss in utc
+ * @param {Date|number} date - date to format
+ * @return {string} - formatted date
+ */
+const timestampFromDate = date => new Date(date).toISOString()
+  .replace(/[^\d]/g, '')
+  .substr(0, 14);
+
+/**
+ * @desc checks whether a version names a repeatable migration, e.g. a view
+ * or a stored procedure redefined whenever its script changes
+ * @param {string} version - version of migration
+ * @return {boolean} - true if version is "R-<name>"
+ */
+const isRepeatable = version => version.startsWith('R-');
+
+/**
+ * @desc returns version a migration file or an in-memory migration provides
+ * @param {string|Object} entry - path of migration file or in-memory
+ * migration
+ * @return {string} - version of migration
+ */
+const versionOf = entry => {
+  if (!type.isString(entry)) {
+    return entry.version;
+  }
+
+  const sql = sqlMigration.parse(entry);
+  return type.isNull(sql) ?
+    path.basename(entry, path.extname(entry)) : sql.version;
+};
+
+/**
+ * @desc defines model of migration locks table, holding one row per
+ * application whose lock is taken
+ * @param {Sequelize} sequelize - instance to sequelize
+ * @param {?string} schema - schema table lives in
+ * @return {Model} - lock model, shared by instances of a schema
+ */
+const lockModel = (sequelize, schema) => {
+  const name = type.isNull(schema) ?
+    'SequelizeMicroMigrationLock' : `SequelizeMicroMigrationLock:${schema}`;
+
+  if (sequelize.isDefined(name)) {
+    return sequelize.model(name);
+  }
+
+  const DataTypes = sequelize.Sequelize;
+
+  return sequelize.define(name, {
+    name: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    owner: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    acquiredAt: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    refreshedAt: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    }
+  }, Object.assign({
+    tableName: 'SequelizeMicroMigrationLocks',
+    timestamps: false
+  }, type.isNull(schema) ? {} : {schema: schema}));
+};
+
+/**
+ * @desc defines model of migration history table, holding one row per
+ * executed step, indexed by application and start time
+ * @param {Sequelize} sequelize - instance to sequelize
+ * @param {?string} schema - schema table lives in
+ * @return {Model} - history model, shared by instances of a schema
+ */
+const historyModel = (sequelize, schema) => {
+  const name = type.isNull(schema) ?
+    'SequelizeMicroMigrationStep' : `SequelizeMicroMigrationStep:${schema}`;
+
+  if (sequelize.isDefined(name)) {
+    return sequelize.model(name);
+  }
+
+  const DataTypes = sequelize.Sequelize;
+
+  return sequelize.define(name, {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    application: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    version: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    direction: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    startedAt: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    finishedAt: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    outcome: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    error: DataTypes.TEXT,
+    host: DataTypes.STRING,
+    pid: DataTypes.INTEGER,
+    operator: DataTypes.STRING
+  }, Object.assign({
+    tableName: 'SequelizeMicroMigrationHistory',
+    timestamps: false,
+    indexes: [{
+      fields: ['application', 'startedAt']
+    }]
+  }, type.isNull(schema) ? {} : {schema: schema}));
+};
+
+/**
+ * @desc models sequelize-db-meta defines for meta stores, by options of
+ * store, remembered per sequelize instance since stores of the same options
+ * share their models
+ */
+const metaModels = new WeakMap();
+
+/**
+ * @desc creates a meta store and finds models it defines
+ * @param {Sequelize} sequelize - instance to sequelize
+ * @param {Object} options - options of meta store
+ * @return {Object} - "db" meta store and its "models"
+ */
+const createMetaDb = (sequelize, options) => {
+  const key = JSON.stringify(options);
+  const known = metaModels.get(sequelize) || {};
+  const defined = Object.keys(sequelize.models);
+  const db = Object.keys(options).length > 0 ?
+    new metaDb.MetaDB(sequelize, options) : new metaDb.MetaDB(sequelize);
+  const added = Object.keys(sequelize.models)
+    .filter(x => defined.indexOf(x) < 0)
+    .map(x => sequelize.models[x]);
+
+  if (added.length > 0) {
+    known[key] = added;
+    metaModels.set(sequelize, known);
+  }
+
+  return {
+    db: db,
+    models: known[key] || []
+  };
+};
+
+/**
+ * @desc methods of sequelize query interface taking a table as first
+ * argument, whose string tables are scoped to schema of an instance
+ */
+const scopedMethods = [
+  'createTable', 'dropTable', 'renameTable', 'describeTable', 'addColumn',
+  'removeColumn', 'changeColumn', 'renameColumn', 'addIndex', 'showIndex',
+  'removeIndex', 'bulkInsert', 'bulkUpdate', 'bulkDelete'
+];
+
+/**
+ * @desc wraps a query interface so that tables given by name default to a
+ * schema, leaving tables given as {tableName, schema} alone
+ * @param {QueryInterface} queryInterface - sequelize query interface
+ * @param {string} schema - schema tables default to
+ * @return {QueryInterface} - scoped query interface
+ */
+const scopeQueryInterface = (queryInterface, schema) => {
+  const scope = x => (type.isString(x) ? {
+    tableName: x,
+    schema: schema
+  } : x);
+
+  return scopedMethods.reduce((prev, name) => {
+    prev[name] = function() {
+      const args = Array.prototype.slice.call(arguments);
+      args[0] = scope(args[0]);
+
+      if (name === 'renameTable') {
+        args[1] = scope(args[1]);
+      }
+
+      return queryInterface[name].apply(queryInterface, args);
+    };
+
+    return prev;
+  }, Object.create(queryInterface));
+};
+
+/**
+ * @desc quotes a schema name for use in postgres statements
+ * @param {string} schema - schema name
+ * @return {string} - quoted schema name
+ */
+const quoteSchema = schema => `"${schema.replace(/"/g, '""')}"`;
+
+/**
+ * @desc position of query options among arguments of sequelize query
+ * interface methods
+ */
+const queryOptionsIndex = {
+  createTable: 2,
+  dropTable: 1,
+  dropAllTables: 0,
+  renameTable: 2,
+  showAllTables: 0,
+  describeTable: 1,
+  addColumn: 3,
+  removeColumn: 2,
+  changeColumn: 3,
+  renameColumn: 3,
+  addIndex: 2,
+  showIndex: 1,
+  removeIndex: 2,
+  bulkInsert: 2,
+  bulkUpdate: 3,
+  bulkDelete: 2
+};
+
+/**
+ * @desc wraps a query interface so that its methods run queries with given
+ * query options, e.g. transaction and logging of a dry run
+ * @param {QueryInterface} queryInterface - sequelize query interface
+ * @param {Object} queryOptions - options merged into those of every call
+ * @return {QueryInterface} - bound query interface
+ */
+const bindQueryInterface = (queryInterface, queryOptions) =>
+  Object.keys(queryOptionsIndex).reduce((prev, name) => {
+    prev[name] = function() {
+      const args = Array.prototype.slice.call(arguments);
+      const i = queryOptionsIndex[name];
+
+      // describeTable accepts a schema name in place of options
+      args[i] = Object.assign({}, type.isString(args[i]) ? {
+        schema: args[i]
+      } : args[i], queryOptions);
+
+      return queryInterface[name].apply(queryInterface, args);
+    };
+
+    return prev;
+  }, Object.create(queryInterface));
+
+/**
+ * @desc wraps a sequelize instance so that its raw queries run with given
+ * query options and its query interface is a bound one
+ * @param {Sequelize} sequelize - instance to sequelize
+ * @param {QueryInterface} queryInterface - bound query interface
+ * @param {Object} queryOptions - options merged into those of every query
+ * @return {Sequelize} - bound sequelize instance
+ */
+const bindSequelize = (sequelize, queryInterface, queryOptions) =>
+  Object.assign(Object.create(sequelize), {
+    query: (sql, options) =>
+      sequelize.query(sql, Object.assign({}, options, queryOptions)),
+    getQueryInterface: () => queryInterface
+  });
+
+/**
+ * @desc policies on pending migrations older than latest applied one
+ */
+const outOfOrderPolicies = ['strict', 'allow', 'rebase'];
+
+/**
+ * @typedef {Object} MigrationContext
+ * @property {string} application - application or module name
+ * @property {string} version - version of migration script being executed
+ * @property {string} direction - either "up" or "down"
+ * @property {Transaction} transaction - transaction of migration step
+ * @property {Sequelize} sequelize - instance to sequelize
+ * @property {QueryInterface} queryInterface - sequelize query interface
+ * @property {boolean=} dryRun - set to true when step is only rehearsed and
+ * rolled back afterwards
+ * @property {boolean=} seed - set to true when script is a seeder, whose
+ * name is given as "version"
+ * @property {?string} schema - schema tables of application live in, which
+ * tables given by name to queryInterface default to
+ */
+
 /**
- * @desc provides sub-module based migration based on sequelize
+ * @desc provides sub-module based migration based on sequelize. emits
+ * "plan" (with "steps" about to run), "step:start", "step:end" (with
+ * "duration" in milliseconds), "step:error" (with "duration" and "error")
+ * and "done" (with "count" of steps and "duration") events, each carrying
+ * "application", "direction" and, for step events, "version".
  * @author Mohamad mehdi Kharatizadeh - m_kharatizadeh@yahoo.com
  */
-class SequelizeMicroMigration {
+class SequelizeMicroMigration extends EventEmitter {
   /**
    * @desc create a new instance of SequelizeMicroMigration
    * @param {Sequelize} sequelize - instance to sequelize
    * @param {string} application - application or module name
-   * @param {string} migrationDir - location of migration folder
+   * @param {string|Array.<string|Object>} migrationDir - location of
+   * migration folder, or a list of migration sources merged into one plan.
+   * a source is either a folder, a glob pattern matching migration files,
+   * e.g. "plugins/migrations/*.js", or an in-memory migration, e.g. one
+   * supplied by a plugin, having "version", "up" and optionally "down" and
+   * other properties of migration scripts. two sources providing the same
+   * version is an error. relative folders and patterns are resolved against
+   * current working directory.
+   * @param {Object=} options - additional options
+   * @param {Object=} options.lock - migration lock options. locks are rows
+   * of "SequelizeMicroMigrationLocks" table, created along with migration
+   * bookkeeping, see {@link SequelizeMicroMigration#syncBookkeeping}
+   * @param {string=} options.lock.owner - identifier of this lock owner,
+   * defaults to hostname, process id and a random suffix
+   * @param {number=} options.lock.wait - milliseconds to wait for a busy
+   * lock before failing, defaults to 60 seconds
+   * @param {number=} options.lock.interval - milliseconds between attempts
+   * to take a busy lock, defaults to 500 milliseconds
+   * @param {number=} options.lock.stale - milliseconds after which a lock
+   * that is not refreshed by its owner can be taken over, defaults to
+   * 10 minutes. a held lock is refreshed every third of that, but not more
+   * often than interval.
+   * @param {boolean=} options.validate - if set to true, "up" refuses to
+   * run while {@link SequelizeMicroMigration#validate} reports problems
+   * @param {string=} options.versionScheme - how version prefixes of
+   * migrations are ordered, either "string" (default), "integer",
+   * "timestamp" (YYYYMMDD optionally followed by hh, mm and ss, shorter
+   * timestamps padded with zeros) or "semver" (dotted numbers)
+   * @param {function=} options.compare - custom comparator of version
+   * prefixes, overrides options.versionScheme
+   * @param {RegExp|function=} options.include - files of migration folder
+   * to consider, defaults to ".js" scripts and ".up.sql" or ".down.sql"
+   * files named as "<version>-<name>", as well as repeatable migrations
+   * named as "R-<name>.js" or "R-<name>.sql"
+   * @param {RegExp|function=} options.exclude - files of migration folder
+   * to ignore even if included
+   * @param {Object=} options.logger - logger having "info" and "error"
+   * methods, e.g. console, to report migration progress to
+   * @param {string=} options.operator - who runs migrations, recorded in
+   * migration history
+   * @param {string=} options.outOfOrder - how pending migrations older than
+   * latest applied one are handled, either "strict" (default, "up" refuses
+   * to run them unless forced), "allow" (they are applied in place, leaving
+   * newer migrations alone) or "rebase" (newer migrations are reverted and
+   * applied again after them)
+   * @param {boolean|Object=} options.snapshot - if set, "up" writes a
+   * snapshot of schema to compare live database against later, see
+   * {@link SequelizeMicroMigration#checkDrift}
+   * @param {string=} options.snapshot.file - snapshot file, defaults to
+   * "schema.json" in migration folder
+   * @param {RegExp|function|Array.<string>=} options.snapshot.tables -
+   * tables of application, defaults to every table of schema option, or
+   * every table of connection including those of other modules if schema
+   * is not given. bookkeeping tables are always left out.
+   * @param {string=} options.seedDir - location of seeder folder, see
+   * {@link SequelizeMicroMigration#seed}
+   * @param {string=} options.environment - environment seeders are run
+   * for, defaults to NODE_ENV or "development"
+   * @param {string=} options.schema - database schema tables and migration
+   * bookkeeping of application live in. tables given by name to
+   * queryInterface of scripts default to it, and on postgres it is created
+   * if necessary and put first on "search_path" of migration steps.
+   * @param {string=} options.metaTable - table migration bookkeeping is
+   * written to, defaults to that of sequelize-db-meta
    */
-  constructor(sequelize, application, migrationDir) {
-    this._metaDb = (new metaDb.MetaDB(sequelize)).prefix(
-      `migration:${application}:`);
+  constructor(sequelize, application, migrationDir, options) {
+    super();
+    options = Object.assign({}, options);
+
+    const metaOptions = {};
+
+    if (!type.isOptional(options.metaTable)) {
+      metaOptions.tableName = options.metaTable;
+    }
+
+    if (!type.isOptional(options.schema)) {
+      metaOptions.schema = options.schema;
+    }
+
+    const meta = createMetaDb(sequelize, metaOptions);
+
+    this._metaModels = meta.models;
+    this._metaDb = meta.db.prefix(`migration:${application}:`);
     this._versionDb = this._metaDb.prefix('version:');
+    this._tagDb = this._metaDb.prefix('tag:');
+    this._repeatableDb = this._metaDb.prefix('repeatable:');
+    this._seedDb = this._metaDb.prefix('seed:');
     this._sequelize = sequelize;
     this._versions = null;
-    this._migrationDir = migrationDir;
+    this._files = null;
+    this._repeatables = null;
+    this._sources = [].concat(migrationDir)
+      .map(x => (type.isString(x) ? path.resolve(x) : x));
+    this._migrationDir = this._sources
+      .filter(x => type.isString(x) && !glob.isPattern(x))[0] || null;
     this._current = null;
     this._currentVersionsList = null;
     this._application = application;
+    this._lockOptions = Object.assign({
+      owner: `${os.hostname()}:${process.pid}:` +
+        crypto.randomBytes(4).toString('hex'),
+      wait: 60000,
+      interval: 500,
+      stale: 600000
+    }, options.lock);
+    this._lockModel = lockModel(sequelize, options.schema || null);
+    this._historyModel = historyModel(sequelize, options.schema || null);
+    this._lockName = `migration:${application}`;
+    this._lockTimer = null;
+    this._lockQueue = Promise.resolve();
+    this._validate = options.validate === true;
+    this._operator = type.isOptional(options.operator) ?
+      null : options.operator;
+    this._include = options.include ||
+      /^([^.-][^-]*-.+\.(js|(up|down)\.sql)|R-.+\.sql)$/;
+    this._exclude = options.exclude;
+    this._outOfOrder = options.outOfOrder || 'strict';
+    this._seedDir = type.isOptional(options.seedDir) ? null :
+      path.resolve(options.seedDir);
+    this._schema = options.schema || null;
+    this._environment = options.environment ||
+      process.env.NODE_ENV || 'development';
+    this._snapshot = type.isOptional(options.snapshot) ||
+      options.snapshot === false ? null :
+      Object.assign({}, options.snapshot === true ? {} : options.snapshot);
+    this._outOfOrderPolicy({});
+
+    if (this._sources.some(x => !type.isString(x) && (!type.isObject(x) ||
+      !type.isString(x.version) || !type.isFunction(x.up)))) {
+      throw new Error(`migration sources of ${application} must be ` +
+        `folders, glob patterns or objects having "version" and "up"`);
+    }
+
+    this._versionScheme = options.versionScheme || 'string';
+
+    if (type.isFunction(options.compare)) {
+      this._versionScheme = 'custom';
+      this._versionPattern = /^/;
+      this._compare = options.compare;
+    } else if (versionSchemes.hasOwnProperty(this._versionScheme)) {
+      this._versionPattern = versionSchemes[this._versionScheme].pattern;
+      this._compare = versionSchemes[this._versionScheme].compare;
+    } else {
+      throw new Error(`unknown version scheme ${this._versionScheme}`);
+    }
+
+    if (!type.isOptional(options.logger)) {
+      this._attachLogger(options.logger);
+    }
+  }
+
+  /**
+   * @desc reports migration events to a logger
+   * @param {Object} logger - logger having "info" and "error" methods
+   * @private
+   */
+  _attachLogger(logger) {
+    const name = this._application;
+
+    this.on('plan', e => logger.info(
+      `${name}: ${e.steps.length} steps to migrate ${e.direction}`));
+    this.on('step:start', e => logger.info(
+      `${name}: migrating ${e.direction} ${e.version}`));
+    this.on('step:end', e => logger.info(
+      `${name}: migrated ${e.direction} ${e.version} in ${e.duration}ms`));
+    this.on('step:error', e => logger.error(
+      `${name}: failed to migrate ${e.direction} ${e.version}: ` +
+      e.error.message));
+    this.on('done', e => logger.info(
+      `${name}: migrated ${e.direction} ${e.count} steps in ${e.duration}ms`));
   }
 
   /**
@@ -39,6 +589,31 @@ class SequelizeMicroMigration {
     return this._application;
   }
 
+  /**
+   * @desc return sequelize instance migrations run on
+   * @return {Sequelize} - instance to sequelize
+   */
+  get sequelize() {
+    return this._sequelize;
+  }
+
+  /**
+   * @desc return version scheme migrations are ordered by
+   * @return {string} - "string", "integer", "timestamp", "semver" or
+   * "custom" if a comparator is given
+   */
+  get versionScheme() {
+    return this._versionScheme;
+  }
+
+  /**
+   * @desc return schema migrations and bookkeeping are scoped to
+   * @return {string|null} - schema name, or null if not scoped
+   */
+  get schema() {
+    return this._schema;
+  }
+
   /**
    * @desc is used to override fs module. used for test cases
    * @param {*} newFs - new fs module mock
@@ -58,37 +633,212 @@ class SequelizeMicroMigration {
     _require = newRequire;
   }
 
+  /**
+   * @desc compares two migration versions by their prefixes according to
+   * version scheme of this instance
+   * @param {string} a - first version
+   * @param {string} b - second version
+   * @return {number} - negative, zero or positive if a comes before, along
+   * with or after b
+   */
+  compare(a, b) {
+    return this._compare(a.split('-', 2)[0], b.split('-', 2)[0]);
+  }
+
   /**
    * @desc sort versions found in migration folder
    * @param {Array.<string>} versions - versions found in migration folder
    * @return {Array.<string>} - sorted set of migrations
    */
   sort(versions) {
-    return iterable.from(versions)
-      .select(x => ({
-        path: x,
-        version: x.split('-', 2)[0]
-      }))
-      .orderBy('version')
-      .select(x => x.path)
-      .toArray();
+    const invalid = versions.filter(x =>
+      !this._versionPattern.test(x.split('-', 2)[0]));
+
+    if (invalid.length > 0) {
+      throw new Error(`versions of ${this._application} do not match ` +
+        `${this._versionScheme} scheme: ${invalid.join(', ')}`);
+    }
+
+    const result = versions.slice().sort((a, b) => this.compare(a, b));
+    const duplicates = result.filter((x, i) =>
+      (i > 0 && this.compare(result[i - 1], x) === 0) ||
+      (i + 1 < result.length && this.compare(x, result[i + 1]) === 0));
+
+    if (duplicates.length > 0) {
+      throw new Error(`duplicate versions of ${this._application}: ` +
+        duplicates.join(', '));
+    }
+
+    return result;
+  }
+
+  /**
+   * @desc checks whether a file of migration folder is a migration script
+   * @param {string} file - name of file in migration folder
+   * @return {boolean} - true if file passes include and exclude patterns
+   */
+  accepts(file) {
+    const matches = (pattern, x) =>
+      type.isFunction(pattern) ? pattern(x) : pattern.test(x);
+
+    return matches(this._include, file) &&
+      (type.isOptional(this._exclude) || !matches(this._exclude, file));
+  }
+
+  /**
+   * @desc lists migrations of a migration source
+   * @param {string|Object} source - folder, glob pattern or in-memory
+   * migration
+   * @return {Promise.<Array.<string|Object>>} - paths of files accepted by
+   * {@link SequelizeMicroMigration#accepts}, or in-memory migration itself
+   * @private
+   */
+  _readSource(source) {
+    if (!type.isString(source)) {
+      return Promise.resolve([source]);
+    }
+
+    if (glob.isPattern(source)) {
+      return glob.expand(source, x => fs.readdir(x)).then(files =>
+        Promise.resolve(files.filter(x => this.accepts(path.basename(x)))));
+    }
+
+    return fs.readdir(source).then(files => Promise.resolve(files
+      .filter(x => this.accepts(x))
+      .map(x => path.join(source, x))));
   }
 
   /**
-   * @desc ensures that versions are loaded and cached from migration folder
+   * @desc ensures that versions are loaded and cached from migration
+   * sources. only files accepted by {@link SequelizeMicroMigration#accepts}
+   * are considered, and two of them providing the same version is an error,
+   * except for sql files of a version, e.g. "<version>-<name>.up.sql",
+   * "<version>-<name>.down.sql" and dialect specific variants such as
+   * "<version>-<name>.postgres.up.sql". two sources providing the same
+   * version is an error as well. repeatable migrations are left out of
+   * versions, see {@link SequelizeMicroMigration#repeatables}.
    * @return {Promise.<Array.<string> >} - resolves when cache is set
    */
   versions() {
-    if (type.isNull(this._versions)) {
-      return fs.readdir(this._migrationDir)
-        .then(files => {
-          this._versions = this.sort(
-            files.map(x => path.basename(x, path.extname(x))));
-          return Promise.resolve(this._versions);
-        });
+    if (!type.isNull(this._versions)) {
+      return Promise.resolve(this._versions);
     }
 
-    return Promise.resolve(this._versions);
+    const self = this;
+
+    return task.spawn(function * task() {
+      const byVersion = {};
+      const sourceOf = {};
+      const conflicts = [];
+
+      for (const source of self._sources) {
+        const label = type.isString(source) ? source : 'in-memory migration';
+        const found = (yield self._readSource(source)).reduce((prev, x) => {
+          const version = versionOf(x);
+          prev[version] = (prev[version] || []).concat([x]);
+          return prev;
+        }, {});
+        const duplicates = Object.keys(found)
+          .filter(x => found[x].length > 1 && (isRepeatable(x) ||
+            found[x].some(y => type.isNull(sqlMigration.parse(y)))))
+          .map(x => found[x].map(y => path.basename(y)).join(' and '));
+
+        if (duplicates.length > 0) {
+          throw new Error(`migration folder ${label} of ` +
+            `${self._application} has files providing the same version: ` +
+            duplicates.join(', '));
+        }
+
+        for (const version of Object.keys(found)) {
+          if (version in byVersion) {
+            conflicts.push(`${version} by ${sourceOf[version]} and ${label}`);
+          } else {
+            byVersion[version] = found[version];
+            sourceOf[version] = label;
+          }
+        }
+      }
+
+      if (conflicts.length > 0) {
+        throw new Error(`migration sources of ${self._application} provide ` +
+          `the same version: ${conflicts.join(', ')}`);
+      }
+
+      self._files = byVersion;
+      self._repeatables = Object.keys(byVersion)
+        .filter(isRepeatable)
+        .sort(compareStrings);
+      self._versions = self.sort(Object.keys(byVersion)
+        .filter(x => !isRepeatable(x)));
+      return self._versions;
+    });
+  }
+
+  /**
+   * @desc lists repeatable migrations of migration folder. repeatable
+   * migrations are named as "R-<name>.js" or "R-<name>.sql", have no "down"
+   * and are not ordered among versions. they are applied after every
+   * versioned migration is applied, again whenever their file changes.
+   * @return {Promise.<Array.<string> >} - names of repeatable migrations
+   * sorted alphabetically
+   */
+  repeatables() {
+    return this.versions().then(() => Promise.resolve(this._repeatables));
+  }
+
+  /**
+   * @desc lists repeatable migrations never applied or changed since they
+   * were last applied
+   * @return {Promise.<Array.<string> >} - names of repeatable migrations
+   * @private
+   */
+  _pendingRepeatables() {
+    const self = this;
+
+    return task.spawn(function * task() {
+      const names = yield self.repeatables();
+      const records = (yield self._repeatableDb.all()).reduce((prev, x) =>
+        Object.assign(prev, {
+          [x.key]: x.value
+        }), {});
+      const result = [];
+
+      for (const name of names) {
+        if (!(name in records) ||
+          records[name].checksum !== (yield self.checksum(name))) {
+          result.push(name);
+        }
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * @desc appends pending repeatable migrations to a plan which leaves every
+   * versioned migration applied
+   * @param {Array.<Array.<string> >} list - migration steps
+   * @return {Promise.<Array.<Array.<string> > >} - migration steps
+   * @private
+   */
+  _withRepeatables(list) {
+    const self = this;
+
+    return task.spawn(function * task() {
+      const baselines = yield self._baselines();
+      const applied = yield self.currentVersions();
+      const after = applied
+        .filter(x => !list.some(y => y[0] === x && y[1] === 'down'))
+        .concat(list.filter(x => x[1] === 'up').map(x => x[0]));
+
+      if (self._plannedVersions(applied, baselines)
+        .some(x => after.indexOf(x) < 0)) {
+        return list;
+      }
+
+      return list.concat((yield self._pendingRepeatables())
+        .map(x => [x, 'up']));
+    });
   }
 
   /**
@@ -110,31 +860,127 @@ class SequelizeMicroMigration {
   /**
    * @desc set last version on the database
    * @param {string} version - current latest version
+   * @param {Transaction=} transaction - transaction to join
    * @return {Promise} - resolves when version is set
    * @private
    */
-  _setCurrent(version) {
-    return this._metaDb.put('last', version);
+  _setCurrent(version, transaction) {
+    return this._metaDb.put('last', version, {transaction: transaction});
   }
 
   /**
    * @desc sets that a version migration script is executed already
    * @param {string} version - migration script that is executed
+   * @param {string} checksum - content hash of executed migration script
+   * @param {Transaction=} transaction - transaction to join
    * @return {Promise} - resolves when mark is set
    * @private
    */
-  _putVersion(version) {
-    return this._versionDb.put(version, true);
+  _putVersion(version, checksum, transaction) {
+    return this._versionDb.put(version, {
+      checksum: checksum,
+      appliedAt: Date.now()
+    }, {
+      transaction: transaction
+    });
+  }
+
+  /**
+   * @desc returns records of versions applied on working database
+   * @return {Promise.<Object.<string, ?Object>>} - records by version, each
+   * having "checksum" and "appliedAt" of migration script. versions applied
+   * before checksums were tracked have null records.
+   * @private
+   */
+  _versionRecords() {
+    return this._versionDb.all().then(all => Promise.resolve(
+      all.reduce((prev, x) => Object.assign(prev, {
+        [x.key]: type.isObject(x.value) ? x.value : null
+      }), {})));
+  }
+
+  /**
+   * @desc computes content hash of a migration script
+   * @param {string} version - version of migration script
+   * @return {Promise.<string>} - hex encoded sha256 hash of script file, or
+   * of "up" and "down" source of an in-memory migration
+   */
+  checksum(version) {
+    return this.versions().then(() => {
+      const files = this._files[version];
+
+      if (type.isOptional(files)) {
+        return Promise.reject(new Error(
+          `migration ${version} of ${this._application} does not exist`));
+      }
+
+      // in-memory migrations are hashed by source of their methods
+      return Promise.all(files.slice().sort().map(x => (type.isString(x) ?
+        fs.readFile(x) : Promise.resolve(['up', 'down']
+          .map(y => String(x[y] || ''))
+          .join('\n')))));
+    }).then(contents => {
+      const hash = crypto.createHash('sha256');
+      contents.forEach(x => hash.update(x));
+      return Promise.resolve(hash.digest('hex'));
+    });
+  }
+
+  /**
+   * @desc compares migration folder against versions applied on working
+   * database
+   * @return {Promise.<Object>} - report having "modified" list of applied
+   * versions whose script has changed since, "missing" list of applied
+   * versions whose script no longer exists, "unknown" list of versions
+   * never applied although a later version is, and "valid" flag which is
+   * true when all lists are empty.
+   */
+  validate() {
+    const self = this;
+
+    return task.spawn(function * task() {
+      const versions = yield self.versions();
+      const baselines = yield self._baselines();
+      const squashed = [].concat.apply([],
+        Object.keys(baselines).map(x => baselines[x]));
+      const records = yield self._versionRecords();
+      const applied = self.sort(Object.keys(records));
+      const last = versions.indexOf(applied[applied.length - 1]);
+      const modified = [];
+
+      for (const version of applied) {
+        const record = records[version];
+
+        if (versions.indexOf(version) >= 0 && !type.isNull(record) &&
+          !type.isNull(record.checksum) &&
+          record.checksum !== (yield self.checksum(version))) {
+          modified.push(version);
+        }
+      }
+
+      const missing = applied.filter(x =>
+        versions.indexOf(x) < 0 && squashed.indexOf(x) < 0);
+      const unknown = versions.filter((x, i) =>
+        i < last && !(x in records) && !(x in baselines));
+
+      return {
+        valid: modified.length < 1 && missing.length < 1 && unknown.length < 1,
+        modified: modified,
+        missing: missing,
+        unknown: unknown
+      };
+    });
   }
 
   /**
    * @desc unmarks a migration script due to "down" command
    * @param {string} version - migration script that is degraded
+   * @param {Transaction=} transaction - transaction to join
    * @return {Promise} - resolves when mark is unset
    * @private
    */
-  _deleteVersion(version) {
-    return this._versionDb.delete(version);
+  _deleteVersion(version, transaction) {
+    return this._versionDb.delete(version, {transaction: transaction});
   }
 
   /**
@@ -159,48 +1005,360 @@ class SequelizeMicroMigration {
    */
   _clearCache() {
     this._versions = null;
+    this._files = null;
+    this._repeatables = null;
     this._current = null;
     this._currentVersionsList = null;
   }
 
   /**
-   * @desc lists migration actions necessary to travel to selected version
-   * @param {number|string} [to] - target version. number can be used to
-   * take migration steps
-   * @return {Promise.<Array.<Array.<string> > >} - migration steps. first
-   * item shows target version and second item shows action necessary, either
-   * "up" or "down".
+   * @desc checks whether a migration can not be reverted, either because
+   * its script declares "irreversible: true", has no "down" method or no
+   * longer exists in migration folder
+   * @param {string} version - version of migration
+   * @return {Promise.<boolean>} - true if migration is irreversible
    */
-  listUp(to) {
-    const self = this;
-
-    return task.spawn(function * task() {
-      yield self.versions();
-      const result = [];
-      const currentVersionsArray = Array.from(yield self.currentVersions());
-      const currentVersions = currentVersionsArray
-        .reduce((prev, x, i) => Object.assign(prev, {
-          [x]: i
-        }), {});
+  irreversible(version) {
+    return this.versions().then(versions => {
+      if (versions.indexOf(version) < 0) {
+        return Promise.resolve(true);
+      }
 
-      if (type.isNumber(to)) {
-        if (currentVersionsArray.length > 0) {
-          const index = self._versions.indexOf(
-            currentVersionsArray[currentVersionsArray.length - 1]);
+      const script = this.script(version);
+      return Promise.resolve(
+        script.irreversible === true || !type.isFunction(script.down));
+    });
+  }
 
-          if (index >= 0) {
-            to = self._versions[index + to];
-          } else {
-            to = null;
-          }
-        } else {
-          to = self._versions[0];
+  /**
+   * @desc marks steps of irreversible migrations in a migration plan
+   * @param {Array.<Array.<string> >} list - migration steps
+   * @return {Promise.<Array.<Array.<string> > >} - annotated steps
+   * @private
+   */
+  _annotate(list) {
+    return Promise.all(list.map(x => this.irreversible(x[0])))
+      .then(irreversible => list.map((x, i) => {
+        if (isRepeatable(x[0])) {
+          return [x[0], x[1], 'repeatable'];
         }
-      }
 
-      for (let i = 0; i < self._versions.length; i++) {
-        const version = self._versions[i];
-        const j = currentVersions[version];
+        return irreversible[i] ?
+          [x[0], x[1], 'irreversible'] : [x[0], x[1]];
+      }));
+  }
+
+  /**
+   * @desc rejects plans reverting irreversible migrations unless allowed
+   * @param {Array.<Array.<string> >} list - annotated migration steps
+   * @param {Object} options - options of "up" or "down"
+   * @return {Promise} - resolves when plan may proceed
+   * @private
+   */
+  _checkIrreversible(list, options) {
+    const blocking = list
+      .filter(x => x[1] === 'down' && x[2] === 'irreversible')
+      .map(x => x[0]);
+
+    if (blocking.length < 1 || options.allowIrreversible === true) {
+      return Promise.resolve();
+    }
+
+    return Promise.reject(new Error(`migration plan of ` +
+      `${this._application} reverts irreversible migrations ` +
+      `${blocking.join(', ')}, continue with allowIrreversible option if ` +
+      `necessary`));
+  }
+
+  /**
+   * @desc returns out-of-order policy in effect
+   * @param {Object=} options - options of a call, whose "outOfOrder"
+   * overrides policy of instance
+   * @return {string} - either "strict", "allow" or "rebase"
+   * @private
+   */
+  _outOfOrderPolicy(options) {
+    const policy = type.isOptional(options) ||
+      type.isOptional(options.outOfOrder) ?
+      this._outOfOrder : options.outOfOrder;
+
+    if (outOfOrderPolicies.indexOf(policy) < 0) {
+      throw new Error(`unknown out-of-order policy ${policy}, either ` +
+        `"strict", "allow" or "rebase" expected`);
+    }
+
+    return policy;
+  }
+
+  /**
+   * @desc finds squashed baselines of migration folder. a baseline is a
+   * script exporting a "replaces" list of versions it stands for, named so
+   * that it sorts right after them. empty databases run the baseline in
+   * place of replaced versions, while other databases keep running replaced
+   * versions and skip the baseline.
+   * @return {Promise.<Object.<string, Array.<string> >>} - versions replaced
+   * by each baseline
+   * @private
+   */
+  _baselines() {
+    return this.versions().then(versions => {
+      const result = {};
+
+      for (const version of versions) {
+        const file = this._files[version][0];
+
+        if (type.isString(file) && !type.isNull(sqlMigration.parse(file))) {
+          continue;
+        }
+
+        const script = this.script(version);
+        if (type.isOptional(script) || !Array.isArray(script.replaces)) {
+          continue;
+        }
+
+        const later = script.replaces.filter(x =>
+          this.compare(x, version) >= 0);
+        if (later.length > 0) {
+          return Promise.reject(new Error(`baseline ${version} of ` +
+            `${this._application} replaces later versions ` +
+            `${later.join(', ')}`));
+        }
+
+        result[version] = script.replaces;
+      }
+
+      return Promise.resolve(result);
+    });
+  }
+
+  /**
+   * @desc lists versions migration plans walk through. on empty databases
+   * latest baseline up to target replaces versions it squashes, otherwise
+   * baselines which are not applied are skipped and applied versions which
+   * are squashed by a baseline are kept even if their scripts are removed.
+   * @param {Array.<string>} applied - versions applied on working database
+   * @param {Object.<string, Array.<string> >} baselines - result of
+   * {@link SequelizeMicroMigration#_baselines}
+   * @param {number|string} [to] - target version
+   * @return {Array.<string>} - sorted versions
+   * @private
+   */
+  _plannedVersions(applied, baselines, to) {
+    const names = Object.keys(baselines);
+
+    if (applied.length < 1) {
+      const baseline = names
+        .filter(x => !type.isString(to) || this.compare(x, to) <= 0)
+        .pop();
+
+      if (!type.isOptional(baseline)) {
+        return this._versions.filter(x => x === baseline ||
+          (names.indexOf(x) < 0 && baselines[baseline].indexOf(x) < 0));
+      }
+    }
+
+    const squashed = applied.filter(x => this._versions.indexOf(x) < 0 &&
+      names.some(y => baselines[y].indexOf(x) >= 0));
+
+    return this.sort(this._versions
+      .filter(x => names.indexOf(x) < 0 || applied.indexOf(x) >= 0)
+      .concat(squashed));
+  }
+
+  /**
+   * @desc lists pending migrations older than latest applied migration,
+   * usually merged from a branch after newer ones were applied
+   * @return {Promise.<Array.<string> >} - out-of-order versions
+   */
+  outOfOrder() {
+    const self = this;
+
+    return task.spawn(function * task() {
+      const baselines = yield self._baselines();
+      const applied = yield self.currentVersions();
+      const last = applied[applied.length - 1];
+
+      return self._plannedVersions(applied, baselines).filter(x =>
+        applied.indexOf(x) < 0 && !type.isOptional(last) &&
+        self.compare(x, last) < 0);
+    });
+  }
+
+  /**
+   * @desc lists pending migrations up to selected version, leaving applied
+   * migrations in place
+   * @param {number|string} [to] - target version. number can be used to
+   * take migration steps
+   * @return {Promise.<Array.<Array.<string> > >} - migration steps
+   * @private
+   */
+  _listPending(to) {
+    const self = this;
+
+    return task.spawn(function * task() {
+      const baselines = yield self._baselines();
+      const applied = yield self.currentVersions();
+      const versions = self._plannedVersions(applied, baselines, to);
+      const limit = versions.indexOf(to);
+      const pending = versions.filter((x, i) => applied.indexOf(x) < 0 &&
+        (type.isNumber(to) || limit < 0 || i <= limit));
+
+      return (type.isNumber(to) ? pending.slice(0, to) : pending)
+        .map(x => [x, 'up']);
+    });
+  }
+
+  /**
+   * @desc resolves a migration target to a version
+   * @param {number|string|Object} [to] - either a version, a step count,
+   * "latest" for latest version of migration folder, "zero" for state
+   * before any migration, {before: Date} for latest version whose timestamp
+   * prefix is at or before a date, or {tag: string} for version a tag
+   * was set at, see {@link SequelizeMicroMigration#tag}
+   * @return {Promise.<number|string|undefined>} - step count, version or
+   * "0" for state before any migration
+   */
+  resolveTarget(to) {
+    if (type.isOptional(to) || type.isNumber(to)) {
+      return Promise.resolve(to);
+    }
+
+    if (type.isObject(to) && !type.isOptional(to.tag)) {
+      return this._tagDb.getOrDefault(to.tag, null).then(version => {
+        if (type.isNull(version)) {
+          return Promise.reject(new Error(
+            `tag ${to.tag} of ${this._application} does not exist`));
+        }
+
+        return Promise.resolve(version);
+      });
+    }
+
+    return this.versions().then(versions => {
+      if (to === 'zero') {
+        return Promise.resolve('0');
+      }
+
+      if (to === 'latest') {
+        return Promise.resolve(versions.length > 0 ?
+          versions[versions.length - 1] : '0');
+      }
+
+      if (!type.isObject(to) || type.isOptional(to.before)) {
+        return Promise.resolve(to);
+      }
+
+      const before = timestampFromDate(to.before);
+      const invalid = versions.filter(x => type.isNull(timestampOf(x)));
+
+      if (invalid.length > 0) {
+        return Promise.reject(new Error(`versions of ${this._application} ` +
+          `lack timestamp prefixes: ${invalid.join(', ')}`));
+      }
+
+      const found = versions.filter(x => timestampOf(x) <= before);
+      return Promise.resolve(found.length > 0 ? found[found.length - 1] : '0');
+    });
+  }
+
+  /**
+   * @desc names a version so that it can be used as migration target later,
+   * e.g. to return to state of last release
+   * @param {string} name - name of tag, e.g. a release label
+   * @param {string|Object=} version - version to tag or a target resolved
+   * by {@link SequelizeMicroMigration#resolveTarget}, defaults to current
+   * version
+   * @return {Promise.<string>} - tagged version
+   */
+  tag(name, version) {
+    const self = this;
+
+    return task.spawn(function * task() {
+      if (type.isOptional(version)) {
+        version = yield self.current();
+      } else {
+        version = yield self.resolveTarget(version);
+
+        if (version !== '0' && (yield self.versions()).indexOf(version) < 0) {
+          throw new Error(
+            `migration ${version} of ${self._application} does not exist`);
+        }
+      }
+
+      yield self._tagDb.put(name, version);
+      return version;
+    });
+  }
+
+  /**
+   * @desc returns tags of application
+   * @return {Promise.<Object.<string, string>>} - tagged versions by name
+   */
+  tags() {
+    return this._tagDb.all().then(all => Promise.resolve(
+      all.reduce((prev, x) => Object.assign(prev, {
+        [x.key]: x.value
+      }), {})));
+  }
+
+  /**
+   * @desc lists migration actions necessary to travel to selected version
+   * @param {number|string|Object} [to] - target version. number can be
+   * used to take migration steps, see
+   * {@link SequelizeMicroMigration#resolveTarget} for other targets
+   * @param {Object=} options - additional options
+   * @param {string=} options.outOfOrder - out-of-order policy overriding
+   * that of instance. under "allow" policy out-of-order migrations are
+   * planned in place, otherwise newer migrations are reverted first.
+   * @return {Promise.<Array.<Array.<string> > >} - migration steps. first
+   * item shows target version and second item shows action necessary, either
+   * "up" or "down". steps of irreversible migrations have "irreversible" as
+   * third item. plans leaving every versioned migration applied end with
+   * pending repeatable migrations, having "repeatable" as third item.
+   */
+  listUp(to, options) {
+    const self = this;
+
+    return task.spawn(function * task() {
+      to = yield self.resolveTarget(to);
+
+      if (to === '0') {
+        return [];
+      }
+
+      if (self._outOfOrderPolicy(options) === 'allow') {
+        return yield self._annotate(
+          yield self._withRepeatables(yield self._listPending(to)));
+      }
+
+      const baselines = yield self._baselines();
+      const result = [];
+      const currentVersionsArray = Array.from(yield self.currentVersions());
+      const currentVersions = currentVersionsArray
+        .reduce((prev, x, i) => Object.assign(prev, {
+          [x]: i
+        }), {});
+      const versions = self._plannedVersions(
+        currentVersionsArray, baselines, to);
+
+      if (type.isNumber(to)) {
+        if (currentVersionsArray.length > 0) {
+          const index = versions.indexOf(
+            currentVersionsArray[currentVersionsArray.length - 1]);
+
+          if (index >= 0) {
+            to = versions[index + to];
+          } else {
+            to = null;
+          }
+        } else {
+          to = versions[0];
+        }
+      }
+
+      for (let i = 0; i < versions.length; i++) {
+        const version = versions[i];
+        const j = currentVersions[version];
 
         if (i !== j) {
           for (let k = currentVersionsArray.length - 1; k >= i; k--) {
@@ -218,49 +1376,90 @@ class SequelizeMicroMigration {
         }
       }
 
-      return result;
+      return yield self._annotate(yield self._withRepeatables(result));
     });
   }
 
   /**
    * @desc lists migration actions necessary to travel down to selected version
-   * @param {number|string} [to] - target version. number can be used to
-   * take migration steps
+   * @param {number|string|Object} [to] - target version. number can be
+   * used to take migration steps, see
+   * {@link SequelizeMicroMigration#resolveTarget} for other targets
    * @return {Promise.<Array.<Array.<string> > >} - migration steps. first
    * item shows target version and second item shows action necessary, either
-   * "up" or "down".
+   * "up" or "down". steps of irreversible migrations have "irreversible" as
+   * third item.
    */
   listDown(to) {
     const self = this;
 
     return task.spawn(function * task() {
-      yield self.versions();
+      to = yield self.resolveTarget(to);
+
+      if (to === '0') {
+        to = undefined;
+      }
+
+      const baselines = yield self._baselines();
       const currentVersionsArray = yield self.currentVersions();
-      let result = yield self.listUp();
+      let result = (yield self.listUp())
+        .filter(x => !isRepeatable(x[0]));
+
+      // versions applied once steps of "listUp" are taken
+      const planned = self._plannedVersions(currentVersionsArray, baselines);
+      const versions = self._plannedVersions(planned.concat.apply(planned,
+        planned
+          .filter(x => x in baselines && currentVersionsArray.indexOf(x) < 0)
+          .map(x => baselines[x].filter(y => planned.indexOf(y) < 0))),
+        baselines);
+      const reverted = [];
+      const squashed = x => reverted.some(y => baselines[y].indexOf(x) >= 0);
+      const steps = versions.filter(x => !Object.keys(baselines).some(y =>
+        versions.indexOf(y) >= 0 && baselines[y].indexOf(x) >= 0));
 
       if (type.isNumber(to)) {
         if (currentVersionsArray.length > 0) {
-          const index = self._versions.indexOf(
+          const index = steps.indexOf(
             currentVersionsArray[currentVersionsArray.length - 1]);
 
           if (index >= 0) {
-            to = self._versions[index - to];
+            to = steps[index - to];
           } else {
             to = null;
           }
         } else {
-          to = self._versions[0];
+          to = steps[0];
         }
       }
 
-      for (let i = self._versions.length - 1; i >= 0; i--) {
-        const version = self._versions[i];
+      for (let i = versions.length - 1; i >= 0; i--) {
+        const version = versions[i];
 
         if (!type.isOptional(to) && version === to) {
           break;
         }
 
-        result.push([version, 'down']);
+        if (!squashed(version)) {
+          result.push([version, 'down']);
+
+          if (version in baselines) {
+            reverted.push(version);
+          }
+        }
+      }
+
+      // reverting a baseline reverts versions it squashes, so those up to
+      // target are applied again
+      if (!type.isOptional(to) && squashed(to)) {
+        for (const version of versions.slice(0, versions.indexOf(to) + 1)
+          .filter(squashed)) {
+          if (self._versions.indexOf(version) < 0) {
+            throw new Error(`can not travel ${self._application} down to ` +
+              `${to}, migration ${version} no longer exists`);
+          }
+
+          result.push([version, 'up']);
+        }
       }
 
       for (let i = 0; i < result.length; i++) {
@@ -280,97 +1479,1263 @@ class SequelizeMicroMigration {
         }
       }
 
-      return result;
+      return yield self._annotate(result);
     });
   }
 
   /**
-   * @desc executes a single migration step
+   * @desc loads migration script of a version. versions provided by sql
+   * files are turned into a script running their statements through
+   * transaction of migration step, as are repeatable "R-<name>.sql" files.
+   * in-memory migrations are returned as they are.
+   * @param {string} version - version of migration script
+   * @return {Object} - migration script module, exposing "up" and "down"
+   * methods and optionally a "dependsOn" map of application names to
+   * versions of those applications this script requires
+   */
+  script(version) {
+    const files = type.isNull(this._files) ? null : this._files[version];
+
+    if (type.isOptional(files)) {
+      if (type.isNull(this._migrationDir)) {
+        throw new Error(
+          `migration ${version} of ${this._application} does not exist`);
+      }
+
+      return _require(path.join(this._migrationDir, version));
+    }
+
+    if (!type.isString(files[0])) {
+      return files[0];
+    }
+
+    if (isRepeatable(version) && path.extname(files[0]) === '.sql') {
+      return sqlMigration.repeatable(files[0], x => fs.readFile(x));
+    }
+
+    if (type.isNull(sqlMigration.parse(files[0]))) {
+      return _require(path.join(path.dirname(files[0]), version));
+    }
+
+    const dialect = this._sequelize.getDialect();
+    const result = sqlMigration.script(files, dialect, x => fs.readFile(x));
+
+    if (type.isOptional(result.up)) {
+      throw new Error(`migration ${version} of ${this._application} has ` +
+        `no up script for ${dialect}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * @desc loads script of a migration step. reverting a migration which no
+   * longer exists in migration folder only updates bookkeeping.
+   * @param {string} version - version of migration
+   * @param {string} act - either "up" or "down"
+   * @return {Promise.<Object>} - migration script
+   * @private
+   */
+  _stepScript(version, act) {
+    return this.versions().then(versions =>
+      Promise.resolve(act === 'down' && versions.indexOf(version) < 0 ?
+        {} : this.script(version)));
+  }
+
+  /**
+   * @desc creates context object handed to migration scripts
+   * @param {string} version - version of migration script
+   * @param {string} act - either "up" or "down"
+   * @param {Transaction} transaction - transaction migration step runs in
+   * @return {MigrationContext} - context of migration step
+   * @private
+   */
+  _context(version, act, transaction) {
+    const queryInterface = this._sequelize.getQueryInterface();
+
+    return {
+      application: this._application,
+      version: version,
+      direction: act,
+      transaction: transaction,
+      sequelize: this._sequelize,
+      queryInterface: type.isNull(this._schema) ?
+        queryInterface : scopeQueryInterface(queryInterface, this._schema),
+      schema: this._schema
+    };
+  }
+
+  /**
+   * @desc creates schema of instance if it does not exist. only postgres
+   * keeps schemas apart, so other dialects and unscoped instances are left
+   * alone. it is called by {@link SequelizeMicroMigration#syncBookkeeping},
+   * and should be called before sequelize.sync() so that bookkeeping tables
+   * can be created within schema.
+   * @param {Transaction=} transaction - transaction to create schema in
+   * @return {Promise} - resolves when schema exists
+   */
+  createSchema(transaction) {
+    if (type.isNull(this._schema) ||
+      this._sequelize.getDialect() !== 'postgres') {
+      return Promise.resolve();
+    }
+
+    return this._sequelize.query(
+      `CREATE SCHEMA IF NOT EXISTS ${quoteSchema(this._schema)}`, {
+        transaction: transaction
+      });
+  }
+
+  /**
+   * @desc creates schema of instance and bookkeeping tables of meta store,
+   * migration locks and migration history if they do not exist, leaving
+   * other models of sequelize alone. should be called once on a fresh database before
+   * migrating it.
+   * @return {Promise} - resolves when bookkeeping tables exist
+   */
+  syncBookkeeping() {
+    return this.createSchema().then(() =>
+      iterable.async(this._bookkeepingModels()).each(x => x.sync()));
+  }
+
+  /**
+   * @desc points unqualified tables of a transaction to schema of instance
+   * on postgres, creating schema if necessary
+   * @param {Transaction} transaction - transaction scripts run in
+   * @return {Promise} - resolves when search path is set
+   * @private
+   */
+  _scope(transaction) {
+    if (type.isNull(this._schema) ||
+      this._sequelize.getDialect() !== 'postgres') {
+      return Promise.resolve();
+    }
+
+    return this.createSchema(transaction).then(() => this._sequelize.query(
+      `SET LOCAL search_path TO ${quoteSchema(this._schema)}, public`, {
+        transaction: transaction
+      }));
+  }
+
+  /**
+   * @desc executes a single migration step. migration scripts are called as
+   * script.up(queryInterface, sequelize, context) where context is a
+   * {@link MigrationContext} carrying transaction of migration step. scripts
+   * should pass context.transaction to their queries so that their changes
+   * and version bookkeeping are committed or rolled back together.
    * @param {Array.<string>} item - a single item. first item shows target
    * version and second item shows action to take, either "up" or "down".
    * @return {Promise} - resolves when migration is done
    */
   execute(item) {
-    const version = item[0];
-    const act = item[1];
-    const script = _require(path.join(this._migrationDir, version));
-    const self = this;
+    return this._withLock(() =>
+      this._checkClean().then(() => this._execute(item)));
+  }
 
-    return this._sequelize.transaction(t =>
-      task.spawn(function * task() {
-        if (act === 'up') {
-          yield script.up(
-            self._sequelize.getQueryInterface(), self._sequelize);
-          yield self._putVersion(version);
-          yield self._setCurrent(version);
-          self._clearCache();
-        } else {
-          yield script.down(
-            self._sequelize.getQueryInterface(), self._sequelize);
-          yield self._deleteVersion(version);
-          yield self.versions();
-          const index = self._versions.indexOf(version);
-          if (index < 1) {
-            yield self._setCurrent('0');
-          } else {
-            yield self._setCurrent(self._versions[index - 1]);
-          }
-          self._clearCache();
-        }
-      }));
+  /**
+   * @desc returns dirty marker of application, which is set while a
+   * migration step runs and left behind when a step fails on a dialect whose
+   * DDL can not be rolled back, leaving database in an unknown state
+   * @return {Promise.<?Object>} - null if database is clean, otherwise an
+   * object having "version", "direction" and "startedAt" of failed step
+   */
+  dirtyState() {
+    return this._metaDb.getOrDefault('dirty', null);
   }
 
   /**
-   * @desc executes all migration commands
-   * @param {Array.<Array.<string> >} list - first string shows migration
-   * version, second one shows action in form of "up" or "down".
-   * @return {Promise} - resolves when migration is done
+   * @desc rejects if database is dirty
+   * @return {Promise} - resolves when database is clean
    * @private
    */
-  _executeAll(list) {
-    return iterable.async(list).each(x => this.execute(x));
+  _checkClean() {
+    return this.dirtyState().then(dirty => {
+      if (type.isNull(dirty)) {
+        return Promise.resolve();
+      }
+
+      return Promise.reject(new Error(`${this._application} is dirty since ` +
+        `migrating ${dirty.direction} ${dirty.version} failed, repair ` +
+        `database and resolve it as applied or reverted`));
+    });
   }
 
   /**
-   * @desc travells database up to target version
-   * @param {number|string} [to] - target version. number can be used to
-   * take migration steps
-   * @param {boolean=} force - if set to true, will take downgrade actions
-   * as well.
-   * @return {Promise} - resolves when migration is done
+   * @desc clears dirty marker after database is repaired manually
+   * @param {string} version - version of failed step
+   * @param {string} state - either "applied" if changes of version are
+   * present in repaired database, or "reverted" if they are not
+   * @return {Promise} - resolves when dirty marker is cleared
    */
-  up(to, force) {
-    return this.listUp(to).then(list => {
-      if (!type.isBoolean(force)) {
-        force = false;
+  resolve(version, state) {
+    const self = this;
+
+    return this._withLock(() => task.spawn(function * task() {
+      const dirty = yield self.dirtyState();
+
+      if (type.isNull(dirty) || dirty.version !== version) {
+        throw new Error(`${self._application} is not dirty at ${version}`);
       }
 
-      if (!force && list.some(x => x[1] === 'down')) {
-        return Promise.reject(new Error('migration might cause loss of data,' +
-          'continue with force flag if necessary'));
+      const applied = (yield self.currentVersions()).indexOf(version) >= 0;
+
+      if (state === 'applied') {
+        yield self._markVersions(applied ? [] : [version], []);
+      } else if (state === 'reverted') {
+        yield self._markVersions([], applied ? [version] : []);
+      } else {
+        throw new Error(`unknown state ${state}, either "applied" or ` +
+          `"reverted" expected`);
       }
 
-      return this._executeAll(list);
-    });
+      yield self._metaDb.delete('dirty');
+    }));
   }
 
   /**
-   * @desc travells database down to target version
-   * @param {number|string} [to] - target version. number can be used to
-   * take migration steps
+   * @desc executes a single migration step, assuming that migration lock
+   * is already held
+   * @param {Array.<string>} item - a single item. first item shows target
+   * version and second item shows action to take, either "up" or "down".
    * @return {Promise} - resolves when migration is done
+   * @private
    */
-  down(to) {
-    return this.listDown(to).then(list => this._executeAll(list));
-  }
+  _execute(item) {
+    const version = item[0];
+    const act = item[1];
+    const self = this;
+    const started = Date.now();
+    const event = {
+      application: this._application,
+      version: version,
+      direction: act
+    };
 
-  /**
-   * @desc specifies whether migration is necessary
-   * @return {Promise.<boolean>} - true if migration is necessary
-   */
-  requiresMigration() {
-    return this.listUp().then(list => Promise.resolve(list.length > 0));
+    this.emit('step:start', event);
+
+    return this.versions()
+      .then(() => this._metaDb.put('dirty', {
+        version: version,
+        direction: act,
+        startedAt: started
+      }))
+      .then(() => this._sequelize.transaction(t =>
+      task.spawn(function * task() {
+        yield self._scope(t);
+        const script = yield self._stepScript(version, act);
+        const context = self._context(version, act, t);
+        const applied = yield self.currentVersions();
+        const squashed = ((yield self._baselines())[version] || [])
+          .filter(x => (applied.indexOf(x) >= 0) === (act === 'down'));
+
+        if (isRepeatable(version)) {
+          if (act !== 'up') {
+            throw new Error(`repeatable migration ${version} of ` +
+              `${self._application} can not be reverted`);
+          }
+
+          const checksum = yield self.checksum(version);
+          yield script.up(context.queryInterface, self._sequelize, context);
+          yield self._repeatableDb.put(version, {
+            checksum: checksum,
+            appliedAt: Date.now()
+          }, {
+            transaction: t
+          });
+        } else if (act === 'up') {
+          const checksum = yield self.checksum(version);
+          yield script.up(context.queryInterface, self._sequelize, context);
+          yield self._putVersion(version, checksum, t);
+
+          // a baseline applies versions it squashes as well
+          for (const x of squashed) {
+            yield self._putVersion(x, self._versions.indexOf(x) < 0 ?
+              null : yield self.checksum(x), t);
+          }
+
+          const current = yield self.current();
+
+          // out-of-order migrations applied in place leave last version
+          if (current === '0' || self.compare(version, current) > 0) {
+            yield self._setCurrent(version, t);
+          }
+        } else {
+          if (type.isFunction(script.down)) {
+            yield script.down(
+              context.queryInterface, self._sequelize, context);
+          }
+
+          const removed = [version].concat(squashed);
+          for (const x of removed) {
+            yield self._deleteVersion(x, t);
+          }
+
+          const remaining = applied.filter(x => removed.indexOf(x) < 0);
+          yield self._setCurrent(remaining.length > 0 ?
+            remaining[remaining.length - 1] : '0', t);
+        }
+
+        yield self._metaDb.delete('dirty', {transaction: t});
+        self._clearCache();
+      })))
+      .then(() => this._putHistory(event, started, null).then(() => {
+        this.emit('step:end', Object.assign({}, event, {
+          duration: Date.now() - started
+        }));
+      }), err => {
+        const fail = () => {
+          this.emit('step:error', Object.assign({}, event, {
+            duration: Date.now() - started,
+            error: err
+          }));
+
+          return Promise.reject(err);
+        };
+
+        const record = () =>
+          this._putHistory(event, started, err).then(fail, fail);
+
+        if (nonTransactionalDdl.indexOf(this._sequelize.getDialect()) >= 0) {
+          return record();
+        }
+
+        // step is rolled back entirely, so database is known to be clean
+        return this._metaDb.delete('dirty').then(record, record);
+      });
+  }
+
+  /**
+   * @desc appends an executed migration step to migration history
+   * @param {Object} event - "version" and "direction" of step
+   * @param {number} started - timestamp step started at
+   * @param {?Error} error - error step failed with, null on success
+   * @return {Promise} - resolves when history is written
+   * @private
+   */
+  _putHistory(event, started, error) {
+    const finished = Date.now();
+
+    return this._historyModel.create({
+      application: this._application,
+      version: event.version,
+      direction: event.direction,
+      startedAt: started,
+      finishedAt: finished,
+      outcome: type.isNull(error) ? 'success' : 'failure',
+      error: type.isNull(error) ? null : error.message,
+      host: os.hostname(),
+      pid: process.pid,
+      operator: this._operator
+    });
+  }
+
+  /**
+   * @desc returns migration history of application, newest first. every
+   * call to {@link SequelizeMicroMigration#execute}, including those made
+   * by "up" and "down", is recorded whether it succeeds or fails.
+   * @param {Object=} options - query options
+   * @param {number=} options.limit - maximum number of records to return
+   * @param {Date|number=} options.since - only return steps started at or
+   * after this time
+   * @return {Promise.<Array.<Object>>} - records having "version",
+   * "direction", "startedAt", "finishedAt", "duration", "outcome" (either
+   * "success" or "failure"), "error" message, "host", "pid" and "operator"
+   */
+  history(options) {
+    options = Object.assign({}, options);
+    const query = {
+      where: {
+        application: this._application
+      },
+      order: [['startedAt', 'DESC'], ['id', 'DESC']]
+    };
+
+    if (!type.isOptional(options.since)) {
+      query.where.startedAt = {
+        $gte: Number(options.since)
+      };
+    }
+
+    if (!type.isOptional(options.limit)) {
+      query.limit = options.limit;
+    }
+
+    return this._historyModel.findAll(query).then(rows =>
+      Promise.resolve(rows.map(row => {
+        const startedAt = Number(row.get('startedAt'));
+        const finishedAt = Number(row.get('finishedAt'));
+
+        return {
+          version: row.get('version'),
+          direction: row.get('direction'),
+          startedAt: startedAt,
+          finishedAt: finishedAt,
+          duration: finishedAt - startedAt,
+          outcome: row.get('outcome'),
+          error: row.get('error'),
+          host: row.get('host'),
+          pid: row.get('pid'),
+          operator: row.get('operator')
+        };
+      })));
+  }
+
+  /**
+   * @desc executes all migration commands
+   * @param {Array.<Array.<string> >} list - first string shows migration
+   * version, second one shows action in form of "up" or "down".
+   * @param {string} direction - command being run, either "up" or "down"
+   * @return {Promise} - resolves when migration is done
+   * @private
+   */
+  _executeAll(list, direction) {
+    const started = Date.now();
+
+    this.emit('plan', {
+      application: this._application,
+      direction: direction,
+      steps: list
+    });
+
+    return iterable.async(list)
+      .each(x => this._execute(x).then(() => this._refreshLock()))
+      .then(() => {
+        this.emit('done', {
+          application: this._application,
+          direction: direction,
+          count: list.length,
+          duration: Date.now() - started
+        });
+      });
+  }
+
+  /**
+   * @desc rejects if validation is enabled and migration folder does not
+   * match working database
+   * @param {Array.<string>=} ignore - problems of validation report to
+   * ignore, e.g. "unknown"
+   * @return {Promise} - resolves when migration may proceed
+   * @private
+   */
+  _checkValid(ignore) {
+    ignore = ignore || [];
+
+    if (!this._validate) {
+      return Promise.resolve();
+    }
+
+    return this.validate().then(report => {
+      const problems = ['modified', 'missing', 'unknown']
+        .filter(x => report[x].length > 0 && ignore.indexOf(x) < 0)
+        .map(x => `${x} ${report[x].join(', ')}`);
+
+      if (problems.length < 1) {
+        return Promise.resolve();
+      }
+
+      return Promise.reject(new Error(
+        `migration validation failed: ${problems.join('; ')}`));
+    });
+  }
+
+  /**
+   * @desc runs migration steps inside a transaction which is rolled back
+   * afterwards, capturing SQL statements issued by each step. version
+   * bookkeeping is not touched. scripts receive a context having "dryRun"
+   * set to true, and a query interface and sequelize instance whose queries
+   * join that transaction even if scripts do not pass it. refused on
+   * dialects whose DDL is not transactional since their changes could not
+   * be rolled back.
+   * @param {Array.<Array.<string> >} list - first string shows migration
+   * version, second one shows action in form of "up" or "down".
+   * @return {Promise.<Array.<Object>>} - one item per step, having
+   * "version", "direction" and "sql" list of statements issued
+   */
+  dryRun(list) {
+    const self = this;
+    const dialect = this._sequelize.getDialect();
+
+    if (nonTransactionalDdl.indexOf(dialect) >= 0) {
+      return Promise.reject(new Error(`dry run is not supported on ` +
+        `${dialect} since its DDL can not be rolled back`));
+    }
+
+    const result = [];
+    const rollback = new Error('dry run');
+    let current = null;
+
+    const logging = sql => {
+      if (!type.isNull(current)) {
+        current.sql.push(sql.replace(/^Execut(ing|ed) \([^)]*\):\s*/, ''));
+      }
+    };
+
+    return this._sequelize.transaction(t =>
+      task.spawn(function * task() {
+        const queryOptions = {
+          transaction: t,
+          logging: logging
+        };
+
+        yield self._scope(t);
+
+        for (const item of list) {
+          const script = yield self._stepScript(item[0], item[1]);
+          const context = Object.assign(
+            self._context(item[0], item[1], t), {dryRun: true});
+          context.queryInterface =
+            bindQueryInterface(context.queryInterface, queryOptions);
+          context.sequelize = bindSequelize(
+            self._sequelize, context.queryInterface, queryOptions);
+
+          current = {
+            version: item[0],
+            direction: item[1],
+            sql: []
+          };
+          result.push(current);
+
+          if (type.isFunction(script[item[1]])) {
+            yield script[item[1]](
+              context.queryInterface, context.sequelize, context);
+          }
+        }
+
+        current = null;
+        throw rollback;
+      }))
+      .then(() => null, err => err)
+      .then(err => {
+        if (err !== rollback) {
+          return Promise.reject(err);
+        }
+
+        return Promise.resolve(result);
+      });
+  }
+
+  /**
+   * @desc travells database up to target version
+   * @param {number|string|Object} [to] - target version. number can be
+   * used to take migration steps, see
+   * {@link SequelizeMicroMigration#resolveTarget} for other targets
+   * @param {boolean=} force - if set to true, will take downgrade actions
+   * as well, as if out-of-order policy was "rebase"
+   * @param {Object=} options - additional options
+   * @param {boolean=} options.dryRun - if set to true, migration is only
+   * rehearsed, see {@link SequelizeMicroMigration#dryRun}
+   * @param {boolean=} options.allowIrreversible - if set to true, forced
+   * plans may revert irreversible migrations, only updating bookkeeping of
+   * those lacking a "down" method
+   * @param {string=} options.outOfOrder - out-of-order policy overriding
+   * that of instance, either "strict", "allow" or "rebase"
+   * @return {Promise} - resolves when migration is done and snapshot of
+   * schema is written if enabled, to statements issued by each step in case
+   * of a dry run
+   */
+  up(to, force, options) {
+    const self = this;
+    options = Object.assign({}, options);
+    force = force === true;
+
+    return this._withLock(() => task.spawn(function * task() {
+      const policy = self._outOfOrderPolicy(options);
+
+      yield self._checkClean();
+      yield self._checkValid(policy === 'strict' ? [] : ['unknown']);
+
+      const list = yield self.listUp(to, options);
+
+      if (!force && policy === 'strict' && list.some(x => x[1] === 'down')) {
+        const outOfOrder = yield self.outOfOrder();
+
+        if (outOfOrder.length > 0) {
+          throw new Error(`${self._application} has out-of-order ` +
+            `migrations ${outOfOrder.join(', ')}, continue with "allow" or ` +
+            `"rebase" out-of-order policy or force flag if necessary`);
+        }
+
+        throw new Error('migration might cause loss of data,' +
+          'continue with force flag if necessary');
+      }
+
+      yield self._checkIrreversible(list, options);
+
+      if (options.dryRun === true) {
+        return yield self.dryRun(list);
+      }
+
+      yield self._executeAll(list, 'up');
+
+      if (!type.isNull(self._snapshot) && list.length > 0) {
+        yield self.snapshot();
+      }
+    }));
+  }
+
+  /**
+   * @desc travells database down to target version
+   * @param {number|string|Object} [to] - target version. number can be
+   * used to take migration steps, see
+   * {@link SequelizeMicroMigration#resolveTarget} for other targets
+   * @param {Object=} options - additional options
+   * @param {boolean=} options.dryRun - if set to true, migration is only
+   * rehearsed, see {@link SequelizeMicroMigration#dryRun}
+   * @param {boolean=} options.allowIrreversible - if set to true, plan may
+   * revert irreversible migrations, only updating bookkeeping of those
+   * lacking a "down" method
+   * @return {Promise} - resolves when migration is done, to statements
+   * issued by each step in case of a dry run
+   */
+  down(to, options) {
+    options = Object.assign({}, options);
+
+    return this._withLock(() => this._checkClean()
+      .then(() => this.listDown(to))
+      .then(list => this._checkIrreversible(list, options).then(() =>
+        options.dryRun === true ?
+          this.dryRun(list) : this._executeAll(list, 'down'))));
+  }
+
+  /**
+   * @desc records versions as applied or not applied without running their
+   * scripts, updating last version accordingly. baselines marked as applied
+   * mark versions they squash as well.
+   * @param {Array.<string>} add - versions to mark as applied
+   * @param {Array.<string>} remove - versions to mark as not applied
+   * @return {Promise.<Array.<string> >} - sorted versions marked as applied
+   * @private
+   */
+  _markVersions(add, remove) {
+    const self = this;
+
+    return task.spawn(function * task() {
+      const baselines = yield self._baselines();
+      const current = yield self.currentVersions();
+      const squashed = [].concat.apply([], add
+        .filter(x => x in baselines)
+        .map(x => baselines[x]));
+
+      add = self.sort(add.concat(squashed.filter((x, i) =>
+        squashed.indexOf(x) === i && add.indexOf(x) < 0 &&
+        current.indexOf(x) < 0)));
+
+      const applied = self.sort(current
+        .filter(x => remove.indexOf(x) < 0)
+        .concat(add));
+      const checksums = [];
+
+      for (const version of add) {
+        checksums.push(self._versions.indexOf(version) < 0 ?
+          null : yield self.checksum(version));
+      }
+
+      yield self._sequelize.transaction(t =>
+        task.spawn(function * task() {
+          for (let i = 0; i < add.length; i++) {
+            yield self._putVersion(add[i], checksums[i], t);
+          }
+
+          for (const version of remove) {
+            yield self._deleteVersion(version, t);
+          }
+
+          yield self._setCurrent(applied.length > 0 ?
+            applied[applied.length - 1] : '0', t);
+        }));
+
+      self._clearCache();
+      return add;
+    });
+  }
+
+  /**
+   * @desc marks versions as applied up to target version without running
+   * their scripts, assuming migration lock is held
+   * @param {number|string} [to] - target version
+   * @return {Promise.<Array.<string> >} - versions marked as applied
+   * @private
+   */
+  _markApplied(to) {
+    const self = this;
+
+    return task.spawn(function * task() {
+      const versions = yield self.versions();
+
+      if (type.isString(to) && versions.indexOf(to) < 0) {
+        throw new Error(
+          `migration ${to} of ${self._application} does not exist`);
+      }
+
+      const applied = yield self.currentVersions();
+      // repeatable migrations are left pending, to run on next "up"
+      const marked = (yield self.listUp(to))
+        .filter(x => x[1] === 'up' && x[2] !== 'repeatable' &&
+          applied.indexOf(x[0]) < 0)
+        .map(x => x[0]);
+
+      return yield self._markVersions(marked, []);
+    });
+  }
+
+  /**
+   * @desc records versions up to target version as applied without running
+   * their scripts, e.g. when changes of those versions are already present
+   * in database
+   * @param {number|string} [to] - target version. number can be used to
+   * take migration steps
+   * @return {Promise.<Array.<string> >} - versions marked as applied
+   */
+  markApplied(to) {
+    return this._withLock(() => this._markApplied(to));
+  }
+
+  /**
+   * @desc records a version as not applied without running its script
+   * @param {string} version - version to unmark
+   * @return {Promise} - resolves when version is unmarked
+   */
+  markUnapplied(version) {
+    return this._withLock(() => this.currentVersions().then(applied => {
+      if (applied.indexOf(version) < 0) {
+        return Promise.reject(new Error(
+          `migration ${version} of ${this._application} is not applied`));
+      }
+
+      return this._markVersions([], [version]);
+    }));
+  }
+
+  /**
+   * @desc declares that database already contains everything up to a
+   * version, for bringing an existing database under migration. refused if
+   * any version is applied already.
+   * @param {string} version - last version present in database
+   * @return {Promise.<Array.<string> >} - versions marked as applied
+   */
+  baseline(version) {
+    return this._withLock(() => this.currentVersions().then(applied => {
+      if (applied.length > 0) {
+        return Promise.reject(new Error(`can not baseline ` +
+          `${this._application} since it has applied migrations`));
+      }
+
+      return this._markApplied(version);
+    }));
+  }
+
+  /**
+   * @desc returns state of migration lock of application
+   * @return {Promise.<?Object>} - null if lock is free, otherwise an object
+   * with "owner", "acquiredAt" and "refreshedAt" timestamps in milliseconds,
+   * "stale" flag showing whether lock can be taken over and "mine" flag
+   * showing whether this instance is holding the lock.
+   */
+  lockState() {
+    return this._lockModel.findOne({
+      where: {
+        name: this._lockName
+      }
+    }).then(row => {
+      if (type.isOptional(row)) {
+        return Promise.resolve(null);
+      }
+
+      const lock = {
+        owner: row.get('owner'),
+        acquiredAt: Number(row.get('acquiredAt')),
+        refreshedAt: Number(row.get('refreshedAt'))
+      };
+
+      return Promise.resolve(Object.assign(lock, {
+        stale: this._isStale(lock),
+        mine: lock.owner === this._lockOptions.owner
+      }));
+    });
+  }
+
+  /**
+   * @desc checks whether a lock has not been refreshed for long enough to
+   * be taken over
+   * @param {Object} lock - lock as returned by
+   * {@link SequelizeMicroMigration#lockState}
+   * @return {boolean} - true if lock is stale
+   * @private
+   */
+  _isStale(lock) {
+    return Date.now() - lock.refreshedAt > this._lockOptions.stale;
+  }
+
+  /**
+   * @desc tries once to take migration lock. lock row is inserted, so that
+   * of concurrent owners only one succeeds on unique key of application. a
+   * stale lock is deleted only if it is still the one seen, and taking it
+   * over races on insert again.
+   * @return {Promise.<boolean>} - true if lock is taken by this instance
+   * @private
+   */
+  _tryLock() {
+    const self = this;
+    const UniqueConstraintError = this._sequelize.Sequelize
+      .UniqueConstraintError;
+
+    return task.spawn(function * task() {
+      const now = Date.now();
+
+      try {
+        yield self._lockModel.create({
+          name: self._lockName,
+          owner: self._lockOptions.owner,
+          acquiredAt: now,
+          refreshedAt: now
+        });
+        return true;
+      } catch (err) {
+        if (!(err instanceof UniqueConstraintError)) {
+          throw err;
+        }
+      }
+
+      const lock = yield self.lockState();
+
+      if (type.isNull(lock) || lock.stale) {
+        if (!type.isNull(lock)) {
+          yield self._lockModel.destroy({
+            where: {
+              name: self._lockName,
+              owner: lock.owner,
+              refreshedAt: lock.refreshedAt
+            }
+          });
+        }
+
+        return yield self._tryLock();
+      }
+
+      return false;
+    });
+  }
+
+  /**
+   * @desc takes migration lock, waiting for it to be released by other
+   * owners or to become stale. lock is refreshed periodically until it is
+   * released.
+   * @return {Promise} - resolves when lock is taken, rejects if lock could
+   * not be taken within configured wait time
+   */
+  acquireLock() {
+    const self = this;
+    const deadline = Date.now() + this._lockOptions.wait;
+
+    return task.spawn(function * task() {
+      for (;;) {
+        if (yield self._tryLock()) {
+          self._clearCache();
+          self._startRefresh();
+          return;
+        }
+
+        if (Date.now() >= deadline) {
+          const lock = yield self.lockState();
+          throw new Error(`migration lock of ${self._application} is held ` +
+            `by ${type.isNull(lock) ? 'unknown owner' : lock.owner}`);
+        }
+
+        yield new Promise(resolve =>
+          setTimeout(resolve, self._lockOptions.interval));
+      }
+    });
+  }
+
+  /**
+   * @desc releases migration lock if it is held by this instance
+   * @return {Promise} - resolves when lock is released
+   */
+  releaseLock() {
+    this._stopRefresh();
+    return this._lockModel.destroy({
+      where: {
+        name: this._lockName,
+        owner: this._lockOptions.owner
+      }
+    });
+  }
+
+  /**
+   * @desc forcibly releases migration lock regardless of its owner. should
+   * only be used when owner of the lock is known to be dead.
+   * @return {Promise} - resolves when lock is released
+   */
+  forceReleaseLock() {
+    this._stopRefresh();
+    return this._lockModel.destroy({
+      where: {
+        name: this._lockName
+      }
+    });
+  }
+
+  /**
+   * @desc starts refreshing held lock on a timer, so that a long migration
+   * step does not let lock become stale. failures are left to the check
+   * between steps, see {@link SequelizeMicroMigration#_refreshLock}.
+   * @private
+   */
+  _startRefresh() {
+    this._stopRefresh();
+    this._lockTimer = setInterval(() => this._refreshLock().catch(() => null),
+      Math.max(this._lockOptions.interval,
+        Math.floor(this._lockOptions.stale / 3)));
+
+    if (type.isFunction(this._lockTimer.unref)) {
+      this._lockTimer.unref();
+    }
+  }
+
+  /**
+   * @desc stops refreshing lock
+   * @private
+   */
+  _stopRefresh() {
+    if (!type.isNull(this._lockTimer)) {
+      clearInterval(this._lockTimer);
+      this._lockTimer = null;
+    }
+  }
+
+  /**
+   * @desc marks that owner of migration lock is still alive so that lock
+   * does not become stale during long migrations
+   * @return {Promise} - resolves when lock is refreshed
+   * @private
+   */
+  _refreshLock() {
+    return this._lockModel.update({
+      refreshedAt: Date.now()
+    }, {
+      where: {
+        name: this._lockName,
+        owner: this._lockOptions.owner
+      }
+    }).then(result => {
+      if (result[0] < 1) {
+        return Promise.reject(new Error(
+          `migration lock of ${this._application} is lost`));
+      }
+
+      return Promise.resolve();
+    });
+  }
+
+  /**
+   * @desc runs an action while holding migration lock. actions of this
+   * instance run one after another, each taking the lock anew.
+   * @param {function} action - action returning a promise
+   * @return {Promise} - resolves to result of action
+   * @private
+   */
+  _withLock(action) {
+    const self = this;
+    const result = this._lockQueue.then(() => task.spawn(function * task() {
+      yield self.acquireLock();
+
+      try {
+        return yield action();
+      } finally {
+        yield self.releaseLock();
+      }
+    }));
+
+    this._lockQueue = result.then(() => null, () => null);
+    return result;
+  }
+
+  /**
+   * @desc lists seeders of seeder folder, named as "<version>-<name>.js"
+   * @return {Promise.<Array.<string> >} - sorted seeder names
+   */
+  seeders() {
+    if (type.isNull(this._seedDir)) {
+      return Promise.reject(
+        new Error(`${this._application} has no seeder folder`));
+    }
+
+    return fs.readdir(this._seedDir).then(files => Promise.resolve(
+      this.sort(files
+        .filter(x => /^[^.-][^-]*-.+\.js$/.test(x))
+        .map(x => path.basename(x, '.js')))));
+  }
+
+  /**
+   * @desc runs seeders not run yet, as well as repeatable seeders whose
+   * file has changed since they were run. seeders export "up" and "down"
+   * called like those of migration scripts, and optionally "environments"
+   * they are limited to and "repeatable: true" if "up" can run again on
+   * seeded data. seeders are tracked separately from migrations.
+   * @param {Object=} options - additional options
+   * @param {string=} options.environment - environment to seed, defaults to
+   * that of instance
+   * @return {Promise.<Array.<string> >} - names of seeders run
+   */
+  seed(options) {
+    const self = this;
+    options = Object.assign({environment: this._environment}, options);
+
+    return this._withLock(() => task.spawn(function * task() {
+      const records = yield self._seedDb.all();
+      const seeded = [];
+
+      for (const name of yield self.seeders()) {
+        const script = _require(path.join(self._seedDir, name));
+        const record = records.filter(x => x.key === name).pop();
+        const hash = crypto.createHash('sha256');
+        hash.update(yield fs.readFile(path.join(self._seedDir, `${name}.js`)));
+        const checksum = hash.digest('hex');
+
+        if ((!type.isOptional(script.environments) &&
+          script.environments.indexOf(options.environment) < 0) ||
+          (!type.isOptional(record) && (script.repeatable !== true ||
+          record.value.checksum === checksum))) {
+          continue;
+        }
+
+        yield self._sequelize.transaction(t => task.spawn(function * task() {
+          yield self._scope(t);
+          const context = Object.assign(
+            self._context(name, 'up', t), {seed: true});
+
+          yield script.up(context.queryInterface, self._sequelize, context);
+          yield self._seedDb.put(name, {
+            checksum: checksum,
+            environment: options.environment,
+            seededAt: Date.now()
+          }, {
+            transaction: t
+          });
+        }));
+
+        seeded.push(name);
+      }
+
+      return seeded;
+    }));
+  }
+
+  /**
+   * @desc reverts seeders in reverse order, calling their "down" if any
+   * @param {string=} name - seeder to revert, defaults to every seeder run
+   * @return {Promise.<Array.<string> >} - names of seeders reverted
+   */
+  unseed(name) {
+    const self = this;
+
+    return this._withLock(() => task.spawn(function * task() {
+      const seeded = self.sort((yield self._seedDb.all()).map(x => x.key));
+      const available = yield self.seeders();
+
+      if (!type.isOptional(name) && seeded.indexOf(name) < 0) {
+        throw new Error(`seeder ${name} of ${self._application} is not run`);
+      }
+
+      const names = type.isOptional(name) ? seeded.reverse() : [name];
+
+      for (const x of names) {
+        const script = available.indexOf(x) < 0 ?
+          {} : _require(path.join(self._seedDir, x));
+
+        yield self._sequelize.transaction(t => task.spawn(function * task() {
+          yield self._scope(t);
+          const context = Object.assign(
+            self._context(x, 'down', t), {seed: true});
+
+          if (type.isFunction(script.down)) {
+            yield script.down(context.queryInterface, self._sequelize, context);
+          }
+
+          yield self._seedDb.delete(x, {transaction: t});
+        }));
+      }
+
+      return names;
+    }));
+  }
+
+  /**
+   * @desc returns models of bookkeeping tables, i.e. those of meta store,
+   * migration locks and migration history
+   * @return {Array.<Model>} - bookkeeping models
+   * @private
+   */
+  _bookkeepingModels() {
+    return this._metaModels.concat([this._lockModel, this._historyModel]);
+  }
+
+  /**
+   * @desc returns names of bookkeeping tables, without schema
+   * @return {Array.<string>} - table names
+   * @private
+   */
+  _bookkeepingTables() {
+    return this._bookkeepingModels().map(x => {
+      const name = x.getTableName();
+      return type.isString(name) ? name : name.tableName;
+    });
+  }
+
+  /**
+   * @desc describes live schema of application tables in a normalized form,
+   * leaving bookkeeping tables out. tables are those of "snapshot.tables"
+   * option, otherwise every table of schema of instance, or every table of
+   * connection if instance is not scoped to a schema.
+   * @return {Promise.<Object>} - "tables" by name, each having "columns" by
+   * name, "indexes" and "foreignKeys"
+   */
+  describeSchema() {
+    const matches = schema.matcher(
+      type.isNull(this._snapshot) ? undefined : this._snapshot.tables);
+    const bookkeeping = this._bookkeepingTables();
+
+    return schema.describe(this._sequelize.getQueryInterface(),
+      x => bookkeeping.indexOf(x) < 0 && matches(x), this._schema);
+  }
+
+  /**
+   * @desc returns snapshot file to use
+   * @param {string=} file - file given by caller
+   * @return {string} - file given by caller, or that of options, or
+   * "schema.json" in first migration folder
+   * @private
+   */
+  _snapshotFile(file) {
+    if (!type.isOptional(file)) {
+      return file;
+    }
+
+    if (!type.isNull(this._snapshot) &&
+      !type.isOptional(this._snapshot.file)) {
+      return this._snapshot.file;
+    }
+
+    if (type.isNull(this._migrationDir)) {
+      throw new Error(`${this._application} has no migration folder to ` +
+        `write snapshot to, set snapshot file option`);
+    }
+
+    return path.join(this._migrationDir, 'schema.json');
+  }
+
+  /**
+   * @desc writes description of live schema to snapshot file, to be
+   * committed along with migrations
+   * @param {string=} file - snapshot file, defaults to that of options
+   * @return {Promise.<string>} - path of snapshot file
+   */
+  snapshot(file) {
+    return Promise.resolve()
+      .then(() => {
+        file = this._snapshotFile(file);
+        return this.describeSchema();
+      })
+      .then(description =>
+        fs.writeFile(file, `${JSON.stringify(description, null, 2)}\n`))
+      .then(() => file);
+  }
+
+  /**
+   * @desc compares live schema against snapshot file, reporting changes
+   * made outside of migrations
+   * @param {string=} file - snapshot file, defaults to that of options
+   * @return {Promise.<Object>} - report having "drifted" flag and
+   * "differences" list, e.g. "column people.name is missing"
+   */
+  checkDrift(file) {
+    return Promise.resolve()
+      .then(() => fs.readFile(this._snapshotFile(file)))
+      .then(content => this.describeSchema().then(description => {
+        const differences = schema.diff(
+          JSON.parse(content.toString()), description);
+
+        return Promise.resolve({
+          drifted: differences.length > 0,
+          differences: differences
+        });
+      }));
+  }
+
+  /**
+   * @desc specifies whether migration is necessary
+   * @return {Promise.<boolean>} - true if migration is necessary
+   */
+  requiresMigration() {
+    return this.listUp().then(list => Promise.resolve(list.length > 0));
+  }
+
+  /**
+   * @desc reports state of every version known either from migration folder
+   * or from working database, see {@link SequelizeMicroMigration.formatStatus}
+   * for printing it
+   * @return {Promise.<Object>} - report having "application", "current"
+   * version, "dirty" state, "requiresMigration" flag, "summary" counts of
+   * versions by state and "versions" rows. each row has "version", "state"
+   * and "appliedAt" timestamp (null if not applied or not tracked). state is
+   * either "applied", "pending", "out-of-order" (pending although a later
+   * version is applied) or "missing" (applied but no longer in migration
+   * folder). like plans, versions squashed into a baseline are not missing
+   * and baselines skipped by working database are left out.
+   */
+  status() {
+    const self = this;
+
+    return task.spawn(function * task() {
+      yield self.versions();
+      const records = yield self._versionRecords();
+      const applied = Object.keys(records);
+      const versions = self._plannedVersions(applied,
+        yield self._baselines());
+      const last = applied.reduce((prev, x) =>
+        (type.isNull(prev) || self.compare(prev, x) < 0 ? x : prev), null);
+      const known = versions
+        .concat(applied.filter(x => versions.indexOf(x) < 0))
+        .sort((a, b) => self.compare(a, b) || compareStrings(a, b));
+      const summary = {
+        'applied': 0,
+        'pending': 0,
+        'out-of-order': 0,
+        'missing': 0
+      };
+
+      const rows = known.map(version => {
+        const record = records[version];
+        let state = 'pending';
+
+        if (version in records) {
+          state = versions.indexOf(version) < 0 ? 'missing' : 'applied';
+        } else if (!type.isNull(last) && self.compare(version, last) < 0) {
+          state = 'out-of-order';
+        }
+
+        summary[state]++;
+        return {
+          version: version,
+          state: state,
+          appliedAt: type.isOptional(record) ? null : record.appliedAt
+        };
+      });
+
+      return {
+        application: self._application,
+        current: yield self.current(),
+        dirty: yield self.dirtyState(),
+        requiresMigration: yield self.requiresMigration(),
+        summary: summary,
+        versions: rows
+      };
+    });
   }
 }
 
 module.exports = SequelizeMicroMigration;
+SequelizeMicroMigration.Orchestrator = require('./lib/orchestrator');
+SequelizeMicroMigration.TenantRunner = require('./lib/tenants');
+SequelizeMicroMigration.formatStatus = require('./lib/status');
+SequelizeMicroMigration.testing = require('./lib/testing');
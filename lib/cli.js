@@ -0,0 +1,543 @@
+"use strict";
+
+const fs = require('mz/fs');
+const path = require('path');
+const type = require('xcane').type;
+const task = require('xcane').task;
+const formatStatus = require('./status');
+
+const usage = `usage: sequelize-micro-migration [-c config] <command> [args]
+
+commands:
+  status              show applied and pending migrations
+  plan [up|down] [t]  show steps "up" or "down" would take to target t
+  up [to|+n]          migrate up to version "to" or by n steps
+  down [to|-n|--all]  migrate down to version "to", by n steps (default 1)
+                      or revert every migration
+  create <name>       create a new migration script
+  validate            check applied migrations against migration folder
+  snapshot            write schema snapshot of application
+  seed [env]          run seeders of environment env (default NODE_ENV)
+  unseed [name]       revert seeder name or every seeder
+  drift               compare database against schema snapshot
+  tag <name> [v]      name version v (default current) as a target
+  squash <from> <to> <name>
+                      create a baseline replacing versions from..to on
+                      empty databases
+
+targets:
+  <version>           version or its prefix
+  latest, zero        latest version or state before any migration
+  tag:<name>          version tagged as name
+
+options:
+  -c, --config <file> configuration file, defaults to micro-migration.json
+  -f, --force         allow "up" to revert migrations when necessary
+  -n, --dry-run       print statements "up" or "down" would issue and roll
+                      them back
+  --allow-irreversible
+                      allow reverting irreversible migrations
+
+exit codes:
+  0  success
+  1  migration, validation or drift check failed
+  2  invalid usage or configuration
+`;
+
+/**
+ * @desc command-line interface to SequelizeMicroMigration. configuration
+ * file is a json or js module exporting "sequelize" (connection url or
+ * options passed to Sequelize constructor), "application", "migrationDir"
+ * (relative to configuration file) and optionally "seedDir" (relative to
+ * configuration file as well) and "options" passed to
+ * SequelizeMicroMigration constructor.
+ * @author Mohamad mehdi Kharatizadeh - m_kharatizadeh@yahoo.com
+ */
+class MigrationCli {
+  /**
+   * @desc create a new instance of MigrationCli
+   * @param {Object=} options - cli options
+   * @param {stream.Writable=} options.stdout - output stream
+   * @param {stream.Writable=} options.stderr - error stream
+   * @param {string=} options.cwd - directory to resolve configuration from
+   */
+  constructor(options) {
+    options = Object.assign({
+      stdout: process.stdout,
+      stderr: process.stderr,
+      cwd: process.cwd()
+    }, options);
+
+    this._stdout = options.stdout;
+    this._stderr = options.stderr;
+    this._cwd = options.cwd;
+  }
+
+  /**
+   * @desc exit code of successful commands
+   * @return {number} - exit code
+   */
+  static get EXIT_SUCCESS() {
+    return 0;
+  }
+
+  /**
+   * @desc exit code of failed migrations or validations
+   * @return {number} - exit code
+   */
+  static get EXIT_FAILURE() {
+    return 1;
+  }
+
+  /**
+   * @desc exit code of invalid usage or configuration
+   * @return {number} - exit code
+   */
+  static get EXIT_USAGE() {
+    return 2;
+  }
+
+  /**
+   * @desc writes a line to output stream
+   * @param {string} line - line to write
+   * @private
+   */
+  _print(line) {
+    this._stdout.write(`${line}\n`);
+  }
+
+  /**
+   * @desc splits command line arguments into options and positionals
+   * @param {Array.<string>} argv - command line arguments
+   * @return {Object} - parsed "config", "force", "dryRun",
+   * "allowIrreversible", "all" and "args"
+   */
+  parse(argv) {
+    const result = {
+      config: 'micro-migration.json',
+      force: false,
+      dryRun: false,
+      allowIrreversible: false,
+      all: false,
+      args: []
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+      const arg = argv[i];
+
+      if (arg === '-c' || arg === '--config') {
+        if (i + 1 >= argv.length) {
+          throw new Error(`${arg} requires a file name`);
+        }
+
+        result.config = argv[++i];
+      } else if (arg === '-f' || arg === '--force') {
+        result.force = true;
+      } else if (arg === '-n' || arg === '--dry-run') {
+        result.dryRun = true;
+      } else if (arg === '--allow-irreversible') {
+        result.allowIrreversible = true;
+      } else if (arg === '--all') {
+        result.all = true;
+      } else if (/^-[^\d]/.test(arg)) {
+        throw new Error(`unknown option ${arg}`);
+      } else {
+        result.args.push(arg);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * @desc loads configuration file
+   * @param {string} file - configuration file
+   * @return {Object} - configuration with "migrationDir" and "seedDir"
+   * resolved
+   */
+  loadConfig(file) {
+    const fullPath = path.resolve(this._cwd, file);
+    const config = require(fullPath);
+
+    if (!type.isString(config.application)) {
+      throw new Error(`${file}: "application" is missing`);
+    }
+
+    if (!type.isString(config.migrationDir)) {
+      throw new Error(`${file}: "migrationDir" is missing`);
+    }
+
+    return Object.assign({}, config, {
+      migrationDir: path.resolve(path.dirname(fullPath), config.migrationDir),
+      seedDir: type.isString(config.seedDir) ?
+        path.resolve(path.dirname(fullPath), config.seedDir) : null
+    });
+  }
+
+  /**
+   * @desc creates migration instance described by configuration and makes
+   * sure its schema and meta tables exist
+   * @param {Object} config - loaded configuration
+   * @return {Promise.<SequelizeMicroMigration>} - migration instance
+   */
+  connect(config) {
+    const Sequelize = require('sequelize');
+    const SequelizeMicroMigration = require('../index');
+    const sequelize = type.isString(config.sequelize) ?
+      new Sequelize(config.sequelize, {logging: false}) :
+      new Sequelize(Object.assign({logging: false}, config.sequelize));
+    const migration = new SequelizeMicroMigration(
+      sequelize, config.application, config.migrationDir,
+      type.isNull(config.seedDir) ? config.options :
+        Object.assign({seedDir: config.seedDir}, config.options));
+
+    return migration.syncBookkeeping().then(() => migration);
+  }
+
+  /**
+   * @desc converts a command line target to a migration target
+   * @param {SequelizeMicroMigration} migration - migration instance
+   * @param {string} [target] - either a version, a version prefix, a step
+   * count prefixed with sign, "latest", "zero" or "tag:<name>"
+   * @param {string} sign - either "+" or "-"
+   * @return {Promise.<number|string|Object|undefined>} - migration target
+   */
+  target(migration, target, sign) {
+    if (type.isOptional(target)) {
+      return Promise.resolve(undefined);
+    }
+
+    if (target[0] === sign && /^\d+$/.test(target.substr(1))) {
+      return Promise.resolve(parseInt(target.substr(1), 10));
+    }
+
+    if (target === 'latest' || target === 'zero') {
+      return Promise.resolve(target);
+    }
+
+    if (target.startsWith('tag:')) {
+      return Promise.resolve({tag: target.substr(4)});
+    }
+
+    return migration.versions().then(versions => {
+      const found = versions.filter(x =>
+        x === target || x.split('-', 2)[0] === target);
+
+      if (found.length !== 1) {
+        return Promise.reject(new Error(found.length < 1 ?
+          `version ${target} does not exist` :
+          `version ${target} is ambiguous`));
+      }
+
+      return Promise.resolve(found[0]);
+    });
+  }
+
+  /**
+   * @desc generates name of a new migration script, prefixed by current
+   * time as YYYYMMDDhhmmss so that it sorts after existing migrations
+   * @param {string} name - descriptive name of migration
+   * @param {Date=} now - creation time
+   * @return {string} - file name of migration script
+   */
+  fileName(name, now) {
+    now = now || new Date();
+    const pad = x => (x < 10 ? '0' : '') + x;
+    const stamp = `${now.getUTCFullYear()}${pad(now.getUTCMonth() + 1)}` +
+      `${pad(now.getUTCDate())}${pad(now.getUTCHours())}` +
+      `${pad(now.getUTCMinutes())}${pad(now.getUTCSeconds())}`;
+
+    return `${stamp}-${name.trim().replace(/[^\w]+/g, '-')}.js`;
+  }
+
+  /**
+   * @desc creates a new migration script with empty "up" and "down" stubs.
+   * if a script of the same time prefix exists, time is bumped by a second
+   * until prefix is unique.
+   * @param {string} migrationDir - location of migration folder
+   * @param {string} name - descriptive name of migration
+   * @return {Promise.<string>} - path of created script
+   */
+  create(migrationDir, name) {
+    const self = this;
+    const content = `"use strict";
+
+module.exports = {
+  up: (queryInterface, sequelize, context) => {
+    return Promise.resolve();
+  },
+
+  down: (queryInterface, sequelize, context) => {
+    return Promise.resolve();
+  }
+};
+`;
+
+    return task.spawn(function * task() {
+      const prefixes = (yield fs.readdir(migrationDir))
+        .map(x => x.split('-', 2)[0]);
+      let now = new Date();
+      let fileName = self.fileName(name, now);
+
+      while (prefixes.indexOf(fileName.split('-', 2)[0]) >= 0) {
+        now = new Date(now.getTime() + 1000);
+        fileName = self.fileName(name, now);
+      }
+
+      const file = path.join(migrationDir, fileName);
+      yield fs.writeFile(file, content, {flag: 'wx'});
+      return file;
+    });
+  }
+
+  /**
+   * @desc creates a baseline script squashing a range of versions, named
+   * after last version of range with a ".1" suffix so that it sorts right
+   * after it, or a second after it under timestamp version scheme. integer
+   * version scheme leaves no room for baselines and is refused. "up" and
+   * "down" of baseline are left as stubs to be filled with schema that range
+   * builds.
+   * @param {SequelizeMicroMigration} migration - migration instance
+   * @param {string} migrationDir - location of migration folder
+   * @param {string} from - first version of range or its prefix
+   * @param {string} to - last version of range or its prefix
+   * @param {string} name - descriptive name of baseline
+   * @return {Promise.<string>} - path of created baseline
+   */
+  squash(migration, migrationDir, from, to, name) {
+    const self = this;
+
+    return task.spawn(function * task() {
+      const versions = yield migration.versions();
+      const first = versions.indexOf(yield migration.resolveTarget(
+        yield self.target(migration, from, '')));
+      const last = versions.indexOf(yield migration.resolveTarget(
+        yield self.target(migration, to, '')));
+
+      if (first < 0 || last < first) {
+        throw new Error(`${from} to ${to} is not a range of versions`);
+      }
+
+      const prefix = versions[last].split('-', 2)[0];
+      let version = `${prefix}.1-${name.trim().replace(/[^\w]+/g, '-')}`;
+
+      if (migration.versionScheme === 'integer') {
+        throw new Error(`baselines can not be squashed under integer ` +
+          `version scheme, no version fits right after ${versions[last]}`);
+      } else if (migration.versionScheme === 'timestamp') {
+        const stamp = `${prefix}000000`.substr(0, 14);
+        const at = Date.UTC(stamp.substr(0, 4), stamp.substr(4, 2) - 1,
+          stamp.substr(6, 2), stamp.substr(8, 2), stamp.substr(10, 2),
+          stamp.substr(12, 2));
+        version = self.fileName(name, new Date(at + 1000))
+          .replace(/\.js$/g, '');
+      }
+
+      if (versions.some(x => migration.compare(x, version) === 0) ||
+        migration.sort(versions.concat([version]))
+          .indexOf(version) !== last + 1) {
+        throw new Error(`baseline ${version} would not sort right after ` +
+          `${versions[last]}`);
+      }
+
+      const replaces = versions.slice(first, last + 1)
+        .map(x => `    '${x}'`)
+        .join(',\n');
+      const file = path.join(migrationDir, `${version}.js`);
+      const content = `"use strict";
+
+module.exports = {
+  // empty databases run this baseline instead of these versions
+  replaces: [
+${replaces}
+  ],
+
+  up: (queryInterface, sequelize, context) => {
+    return Promise.resolve();
+  },
+
+  down: (queryInterface, sequelize, context) => {
+    return Promise.resolve();
+  }
+};
+`;
+
+      yield fs.writeFile(file, content, {flag: 'wx'});
+      return file;
+    });
+  }
+
+  /**
+   * @desc prints a migration plan
+   * @param {Array.<Array.<string> >} list - migration steps
+   * @private
+   */
+  _printPlan(list) {
+    if (list.length < 1) {
+      this._print('nothing to do');
+    }
+
+    list.forEach(x => this._print(`${x[1]} ${x[0]}` +
+      (type.isOptional(x[2]) ? '' : ` (${x[2]})`)));
+  }
+
+  /**
+   * @desc prints statements captured by a dry run
+   * @param {Array.<Object>} steps - result of a dry run
+   * @private
+   */
+  _printDryRun(steps) {
+    steps.forEach(x => {
+      this._print(`-- ${x.direction} ${x.version}`);
+      x.sql.forEach(y => this._print(`${y};`));
+    });
+  }
+
+  /**
+   * @desc runs a command
+   * @param {Array.<string>} argv - command line arguments
+   * @return {Promise.<number>} - exit code
+   */
+  run(argv) {
+    const self = this;
+    let migration = null;
+
+    return task.spawn(function * task() {
+      let options = null;
+      let config = null;
+
+      try {
+        options = self.parse(argv);
+
+        if (options.args.length < 1) {
+          throw new Error('command is missing');
+        }
+
+        config = self.loadConfig(options.config);
+      } catch (err) {
+        self._stderr.write(`${err.message}\n\n${usage}`);
+        return MigrationCli.EXIT_USAGE;
+      }
+
+      const command = options.args[0];
+      const args = options.args.slice(1);
+
+      if (command === 'create') {
+        if (args.length !== 1) {
+          self._stderr.write(`create requires a name\n\n${usage}`);
+          return MigrationCli.EXIT_USAGE;
+        }
+
+        const file = yield self.create(config.migrationDir, args[0]);
+        self._print(`created ${file}`);
+        return MigrationCli.EXIT_SUCCESS;
+      }
+
+      migration = yield self.connect(config);
+
+      if (command === 'status') {
+        self._stdout.write(formatStatus.table(yield migration.status()));
+      } else if (command === 'plan') {
+        const direction = args[0] === 'down' ? 'down' : 'up';
+        const target = args[0] === 'up' || args[0] === 'down' ?
+          args[1] : args[0];
+        const to = yield self.target(
+          migration, target, direction === 'up' ? '+' : '-');
+
+        self._printPlan(yield direction === 'up' ?
+          migration.listUp(to) : migration.listDown(to));
+      } else if (command === 'up') {
+        const to = yield self.target(migration, args[0], '+');
+        const upOptions = {
+          dryRun: options.dryRun,
+          allowIrreversible: options.allowIrreversible
+        };
+
+        if (options.dryRun) {
+          self._printDryRun(yield migration.up(to, options.force, upOptions));
+        } else {
+          self._printPlan(yield migration.listUp(to));
+          yield migration.up(to, options.force, upOptions);
+        }
+      } else if (command === 'down') {
+        const to = options.all ? undefined :
+          yield self.target(migration, args[0] || '-1', '-');
+        const downOptions = {
+          dryRun: options.dryRun,
+          allowIrreversible: options.allowIrreversible
+        };
+
+        if (options.dryRun) {
+          self._printDryRun(yield migration.down(to, downOptions));
+        } else {
+          self._printPlan(yield migration.listDown(to));
+          yield migration.down(to, downOptions);
+        }
+      } else if (command === 'validate') {
+        const report = yield migration.validate();
+
+        ['modified', 'missing', 'unknown'].forEach(x =>
+          report[x].forEach(y => self._print(`${x} ${y}`)));
+
+        if (!report.valid) {
+          return MigrationCli.EXIT_FAILURE;
+        }
+
+        self._print('valid');
+      } else if (command === 'seed') {
+        const seeded = yield migration.seed(type.isOptional(args[0]) ?
+          undefined : {environment: args[0]});
+        seeded.forEach(x => self._print(`seeded ${x}`));
+      } else if (command === 'unseed') {
+        (yield migration.unseed(args[0])).forEach(x =>
+          self._print(`reverted ${x}`));
+      } else if (command === 'snapshot') {
+        self._print(`written ${yield migration.snapshot()}`);
+      } else if (command === 'drift') {
+        const report = yield migration.checkDrift();
+
+        report.differences.forEach(x => self._print(x));
+
+        if (report.drifted) {
+          return MigrationCli.EXIT_FAILURE;
+        }
+
+        self._print('no drift');
+      } else if (command === 'squash') {
+        if (args.length !== 3) {
+          self._stderr.write(`squash requires a range and a name\n\n${usage}`);
+          return MigrationCli.EXIT_USAGE;
+        }
+
+        self._print(`created ${yield self.squash(
+          migration, config.migrationDir, args[0], args[1], args[2])}`);
+      } else if (command === 'tag') {
+        if (args.length < 1 || args.length > 2) {
+          self._stderr.write(`tag requires a name\n\n${usage}`);
+          return MigrationCli.EXIT_USAGE;
+        }
+
+        const version = type.isOptional(args[1]) ?
+          undefined : yield self.target(migration, args[1], '+');
+        self._print(`tagged ${yield migration.tag(args[0], version)} as ` +
+          `${args[0]}`);
+      } else {
+        self._stderr.write(`unknown command ${command}\n\n${usage}`);
+        return MigrationCli.EXIT_USAGE;
+      }
+
+      return MigrationCli.EXIT_SUCCESS;
+    }).catch(err => {
+      this._stderr.write(`${err.message}\n`);
+      return MigrationCli.EXIT_FAILURE;
+    }).then(code => {
+      if (!type.isNull(migration)) {
+        migration.sequelize.close();
+      }
+
+      return code;
+    });
+  }
+}
+
+module.exports = MigrationCli;
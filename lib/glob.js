@@ -0,0 +1,79 @@
+"use strict";
+
+const path = require('path');
+const task = require('xcane').task;
+
+/**
+ * @desc checks whether a path has wildcards, either "*", "?" or a "[...]"
+ * character class
+ * @param {string} x - path or path segment
+ * @return {boolean} - true if x is a glob pattern
+ */
+const isPattern = x => /[*?[]/.test(x);
+
+/**
+ * @desc converts a glob pattern of a single path segment to a regular
+ * expression
+ * @param {string} segment - path segment having wildcards
+ * @return {RegExp} - expression matching whole names
+ */
+const toRegExp = segment => new RegExp(`^${segment
+  .replace(/[.+^${}()|\\]/g, '\\$&')
+  .replace(/\[!/g, '[^')
+  .replace(/\*/g, '.*')
+  .replace(/\?/g, '.')}$`);
+
+/**
+ * @desc expands a glob pattern to paths of matching files, e.g.
+ * "migrations/*.js". wildcards may appear in folder segments as well,
+ * matching within a single segment, and do not match names starting with a
+ * dot unless the segment does. folders that can not be read are treated as
+ * having no matches.
+ * @param {string} pattern - glob pattern
+ * @param {function} readdir - lists names of a folder, returning a promise
+ * @return {Promise.<Array.<string> >} - sorted paths matching pattern
+ */
+const expand = (pattern, readdir) => task.spawn(function * task() {
+  const root = path.parse(pattern).root;
+  const segments = pattern.substr(root.length).split(/[\\/]+/)
+    .filter(x => x.length > 0);
+  let paths = [root || '.'];
+
+  for (const segment of segments) {
+    if (!isPattern(segment)) {
+      paths = paths.map(x => path.join(x, segment));
+      continue;
+    }
+
+    const regex = toRegExp(segment);
+    const next = [];
+
+    for (const dir of paths) {
+      let names = null;
+
+      try {
+        names = yield readdir(dir);
+      } catch (err) {
+        if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+          throw err;
+        }
+
+        names = [];
+      }
+
+      names
+        .filter(x => regex.test(x) &&
+          (!x.startsWith('.') || segment.startsWith('.')))
+        .forEach(x => next.push(path.join(dir, x)));
+    }
+
+    paths = next;
+  }
+
+  return paths.sort();
+});
+
+module.exports = {
+  isPattern: isPattern,
+  expand: expand
+};
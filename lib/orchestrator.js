@@ -0,0 +1,393 @@
+"use strict";
+
+const type = require('xcane').type;
+const task = require('xcane').task;
+const iterable = require('xcane').iterable;
+
+/**
+ * @desc orchestrates migrations of many applications sharing a database,
+ * ordering their steps according to dependencies declared by migration
+ * scripts. a migration script declares its dependencies by exporting a
+ * "dependsOn" map of application names to versions of those applications
+ * which should be applied before the script, e.g.
+ * dependsOn: {users: '201601011200'}
+ * @author Mohamad mehdi Kharatizadeh - m_kharatizadeh@yahoo.com
+ */
+class MigrationOrchestrator {
+  /**
+   * @desc create a new instance of MigrationOrchestrator
+   * @param {Sequelize} sequelize - instance to sequelize
+   * @param {Object=} options - options passed to every
+   * SequelizeMicroMigration created by this orchestrator
+   */
+  constructor(sequelize, options) {
+    this._sequelize = sequelize;
+    this._options = options;
+    this._migrations = [];
+  }
+
+  /**
+   * @desc registers an application with orchestrator
+   * @param {string|SequelizeMicroMigration} application - application or
+   * module name, or an already created migration instance
+   * @param {(string|Array.<string|Object>)=} migrationDir - location of
+   * migration folder or list of migration sources, required if application
+   * name is given
+   * @return {SequelizeMicroMigration} - migration instance of application
+   */
+  add(application, migrationDir) {
+    let migration = application;
+
+    if (type.isString(application)) {
+      // required lazily since index.js requires this module as well
+      const SequelizeMicroMigration = require('../index');
+      migration = new SequelizeMicroMigration(
+        this._sequelize, application, migrationDir, this._options);
+    }
+
+    if (this._migrations.some(x => x.application === migration.application)) {
+      throw new Error(
+        `application ${migration.application} is already registered`);
+    }
+
+    this._migrations.push(migration);
+    return migration;
+  }
+
+  /**
+   * @desc return names of registered applications in registration order
+   * @return {Array.<string>} - application names
+   */
+  get applications() {
+    return this._migrations.map(x => x.application);
+  }
+
+  /**
+   * @desc returns migration instance of a registered application
+   * @param {string} application - application or module name
+   * @return {SequelizeMicroMigration} - migration instance of application
+   */
+  migration(application) {
+    const result = this._migrations.find(x => x.application === application);
+
+    if (type.isOptional(result)) {
+      throw new Error(`application ${application} is not registered`);
+    }
+
+    return result;
+  }
+
+  /**
+   * @desc collects plans of applications into dependency graph nodes
+   * @param {Object.<string, number|string>} [targets] - target versions by
+   * application name. if omitted every registered application is planned
+   * without a target.
+   * @param {string} method - either "listUp" or "listDown"
+   * @param {Object=} options - options passed to method
+   * @return {Promise.<Array.<Object>>} - graph nodes, each chained to its
+   * preceding step of the same application
+   * @private
+   */
+  _collect(targets, method, options) {
+    const self = this;
+
+    return task.spawn(function * task() {
+      const applications = type.isOptional(targets) ?
+        self.applications : Object.keys(targets);
+      const nodes = [];
+
+      for (const application of applications) {
+        const migration = self.migration(application);
+        const plan = yield migration[method](
+          type.isOptional(targets) ? undefined : targets[application],
+          options);
+        let previous = null;
+
+        for (const step of plan) {
+          const node = {
+            application: application,
+            version: step[0],
+            act: step[1],
+            irreversible: step[2] === 'irreversible',
+            migration: migration,
+            after: type.isNull(previous) ? [] : [previous]
+          };
+
+          nodes.push(node);
+          previous = node;
+        }
+      }
+
+      return nodes;
+    });
+  }
+
+  /**
+   * @desc returns dependencies declared by a migration script
+   * @param {SequelizeMicroMigration} migration - migration instance
+   * @param {string} version - version of migration script
+   * @return {Object.<string, string>} - versions required by application
+   * @private
+   */
+  _dependsOn(migration, version) {
+    const script = migration.script(version);
+    return type.isOptional(script.dependsOn) ? {} : script.dependsOn;
+  }
+
+  /**
+   * @desc links nodes to steps of other applications they depend on
+   * @param {Array.<Object>} nodes - graph nodes
+   * @return {Promise} - resolves when nodes are linked, rejects if a
+   * dependency can not be satisfied
+   * @private
+   */
+  _link(nodes) {
+    const self = this;
+    const find = (application, version, act) => nodes
+      .filter(x => x.application === application &&
+        x.version === version && x.act === act)
+      .pop();
+
+    return task.spawn(function * task() {
+      for (const node of nodes.filter(x => x.act === 'up')) {
+        const dependsOn = self._dependsOn(node.migration, node.version);
+
+        for (const application of Object.keys(dependsOn)) {
+          const version = dependsOn[application];
+          const name = `${node.application} ${node.version}`;
+          const provider = find(application, version, 'up');
+
+          if (!type.isOptional(provider)) {
+            node.after.push(provider);
+            continue;
+          }
+
+          if (self.applications.indexOf(application) < 0) {
+            throw new Error(`${name} depends on application ${application} ` +
+              `which is not registered`);
+          }
+
+          const migration = self.migration(application);
+          if ((yield migration.versions()).indexOf(version) < 0) {
+            throw new Error(`${name} depends on ${application} ${version} ` +
+              `which does not exist`);
+          }
+
+          if ((yield migration.currentVersions()).indexOf(version) < 0 ||
+            !type.isOptional(find(application, version, 'down'))) {
+            throw new Error(`${name} depends on ${application} ${version} ` +
+              `which is not applied by this plan`);
+          }
+        }
+      }
+
+      for (const node of nodes.filter(x => x.act === 'down')) {
+        for (const migration of self._migrations) {
+          if (migration.application === node.application) {
+            continue;
+          }
+
+          const versions = yield migration.versions();
+          const applied = (yield migration.currentVersions())
+            .filter(x => versions.indexOf(x) >= 0);
+
+          for (const version of applied) {
+            const dependsOn = self._dependsOn(migration, version);
+
+            if (dependsOn[node.application] !== node.version) {
+              continue;
+            }
+
+            const dependent = find(migration.application, version, 'down');
+            if (type.isOptional(dependent)) {
+              throw new Error(`can not revert ${node.application} ` +
+                `${node.version}, ${migration.application} ${version} ` +
+                `depends on it`);
+            }
+
+            node.after.push(dependent);
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * @desc orders graph nodes so that every node comes after the nodes it
+   * depends on, keeping original order where possible
+   * @param {Array.<Object>} nodes - linked graph nodes
+   * @return {Array.<Array.<string> >} - ordered migration steps
+   * @private
+   */
+  _sort(nodes) {
+    const done = new Set();
+    const remaining = nodes.slice();
+    const result = [];
+
+    while (remaining.length > 0) {
+      const index = remaining.findIndex(x => x.after.every(y => done.has(y)));
+
+      if (index < 0) {
+        throw new Error('cyclic migration dependencies between ' +
+          remaining.map(x => `${x.application} ${x.version}`).join(', '));
+      }
+
+      const node = remaining.splice(index, 1)[0];
+      done.add(node);
+      result.push(node.irreversible ?
+        [node.application, node.version, node.act, 'irreversible'] :
+        [node.application, node.version, node.act]);
+    }
+
+    return result;
+  }
+
+  /**
+   * @desc computes global plan to travel registered applications up
+   * @param {Object.<string, number|string>} [targets] - target versions by
+   * application name, see {@link SequelizeMicroMigration#listUp}. if
+   * omitted every registered application is planned up to its latest
+   * version.
+   * @param {Object=} options - additional options
+   * @param {string=} options.outOfOrder - out-of-order policy overriding
+   * those of applications, see {@link SequelizeMicroMigration#listUp}
+   * @return {Promise.<Array.<Array.<string> > >} - migration steps. first
+   * item shows application, second one shows version and third one shows
+   * action necessary, either "up" or "down". steps of irreversible
+   * migrations have "irreversible" as fourth item.
+   */
+  listUp(targets, options) {
+    return this._collect(targets, 'listUp', options)
+      .then(nodes => this._link(nodes).then(() => this._sort(nodes)));
+  }
+
+  /**
+   * @desc computes global plan to travel registered applications down
+   * @param {Object.<string, number|string>} [targets] - target versions by
+   * application name, see {@link SequelizeMicroMigration#listDown}. if
+   * omitted every registered application is planned down completely.
+   * @return {Promise.<Array.<Array.<string> > >} - migration steps. first
+   * item shows application, second one shows version and third one shows
+   * action necessary, either "up" or "down". steps of irreversible
+   * migrations have "irreversible" as fourth item.
+   */
+  listDown(targets) {
+    return this._collect(targets, 'listDown')
+      .then(nodes => this._link(nodes).then(() => this._sort(nodes)));
+  }
+
+  /**
+   * @desc executes a single step of a global plan
+   * @param {Array.<string>} item - application, version and action to take,
+   * either "up" or "down"
+   * @return {Promise} - resolves when migration is done
+   */
+  execute(item) {
+    return this.migration(item[0]).execute([item[1], item[2]]);
+  }
+
+  /**
+   * @desc executes all steps of a global plan. migration locks of
+   * applications should already be held, see
+   * {@link MigrationOrchestrator#_withLocks}
+   * @param {Array.<Array.<string> >} list - global plan
+   * @return {Promise} - resolves when migration is done
+   * @private
+   */
+  _executeAll(list) {
+    return iterable.async(list).each(x =>
+      this.migration(x[0])._execute([x[1], x[2]]));
+  }
+
+  /**
+   * @desc runs an action while holding migration locks of every registered
+   * application, taken in registration order so that orchestrators sharing
+   * a database do not deadlock. action runs once no application is dirty.
+   * @param {function} action - action returning a promise
+   * @return {Promise} - resolves to result of action
+   * @private
+   */
+  _withLocks(action) {
+    const lock = i => {
+      if (i >= this._migrations.length) {
+        return iterable.async(this._migrations)
+          .each(x => x._checkClean())
+          .then(() => action());
+      }
+
+      return this._migrations[i]._withLock(() => lock(i + 1));
+    };
+
+    return lock(0);
+  }
+
+  /**
+   * @desc rejects plans reverting irreversible migrations unless allowed
+   * @param {Array.<Array.<string> >} list - global plan
+   * @param {Object=} options - options of "up" or "down"
+   * @return {Promise} - resolves when plan may proceed
+   * @private
+   */
+  _checkIrreversible(list, options) {
+    const blocking = list
+      .filter(x => x[2] === 'down' && x[3] === 'irreversible')
+      .map(x => `${x[0]} ${x[1]}`);
+
+    if (blocking.length < 1 ||
+      (!type.isOptional(options) && options.allowIrreversible === true)) {
+      return Promise.resolve();
+    }
+
+    return Promise.reject(new Error(`migration plan reverts irreversible ` +
+      `migrations ${blocking.join(', ')}, continue with allowIrreversible ` +
+      `option if necessary`));
+  }
+
+  /**
+   * @desc travells registered applications up
+   * @param {Object.<string, number|string>} [targets] - target versions by
+   * application name
+   * @param {boolean=} force - if set to true, will take downgrade actions
+   * as well.
+   * @param {Object=} options - additional options
+   * @param {boolean=} options.allowIrreversible - if set to true, forced
+   * plans may revert irreversible migrations
+   * @param {string=} options.outOfOrder - out-of-order policy overriding
+   * those of applications. plans reverting migrations of applications under
+   * "strict" policy are refused unless forced.
+   * @return {Promise} - resolves when migration is done
+   */
+  up(targets, force, options) {
+    return this._withLocks(() => this.listUp(targets, options).then(list => {
+      const strict = list
+        .filter(x => x[2] === 'down')
+        .some(x => this.migration(x[0])._outOfOrderPolicy(options) ===
+          'strict');
+
+      if (force !== true && strict) {
+        return Promise.reject(new Error('migration might cause loss of data,' +
+          'continue with force flag if necessary'));
+      }
+
+      return this._checkIrreversible(list, options)
+        .then(() => this._executeAll(list));
+    }));
+  }
+
+  /**
+   * @desc travells registered applications down
+   * @param {Object.<string, number|string>} [targets] - target versions by
+   * application name
+   * @param {Object=} options - additional options
+   * @param {boolean=} options.allowIrreversible - if set to true, plan may
+   * revert irreversible migrations
+   * @return {Promise} - resolves when migration is done
+   */
+  down(targets, options) {
+    return this._withLocks(() => this.listDown(targets).then(list =>
+      this._checkIrreversible(list, options)
+        .then(() => this._executeAll(list))));
+  }
+}
+
+module.exports = MigrationOrchestrator;
@@ -0,0 +1,206 @@
+"use strict";
+
+const type = require('xcane').type;
+const task = require('xcane').task;
+
+/**
+ * @desc sorts keys of an object so that its json form is stable
+ * @param {Object} obj - object to sort
+ * @return {Object} - object having same properties inserted in order
+ */
+const sortKeys = obj => Object.keys(obj).sort().reduce((prev, x) =>
+  Object.assign(prev, {
+    [x]: obj[x]
+  }), {});
+
+/**
+ * @desc normalizes a column returned by queryInterface.describeTable
+ * @param {Object} column - column description
+ * @return {Object} - "type", "allowNull", "defaultValue" and "primaryKey"
+ */
+const normalizeColumn = column => ({
+  type: String(column.type).toUpperCase(),
+  allowNull: column.allowNull !== false,
+  defaultValue: type.isOptional(column.defaultValue) ?
+    null : String(column.defaultValue),
+  primaryKey: column.primaryKey === true
+});
+
+/**
+ * @desc normalizes an index returned by queryInterface.showIndex
+ * @param {Object} index - index description
+ * @return {Object} - "name", "unique", "primary" and "fields"
+ */
+const normalizeIndex = index => ({
+  name: index.name,
+  unique: index.unique === true,
+  primary: index.primary === true,
+  fields: (index.fields || []).map(x =>
+    (type.isString(x) ? x : x.attribute))
+});
+
+/**
+ * @desc normalizes a foreign key returned by
+ * queryInterface.getForeignKeyReferencesForTable
+ * @param {Object} key - foreign key description
+ * @return {Object} - "column", "table" and "references" column
+ */
+const normalizeForeignKey = key => ({
+  column: key.columnName,
+  table: key.referencedTableName,
+  references: key.referencedColumnName
+});
+
+/**
+ * @desc creates a predicate of table names out of a selection of tables
+ * @param {RegExp|function|Array.<string>=} tables - tables to select,
+ * defaults to every table
+ * @return {function} - returns true for names of selected tables
+ */
+const matcher = tables => x => {
+  if (type.isOptional(tables)) {
+    return true;
+  }
+
+  if (Array.isArray(tables)) {
+    return tables.indexOf(x) >= 0;
+  }
+
+  return type.isFunction(tables) ? tables(x) : tables.test(x);
+};
+
+/**
+ * @desc lists names of tables, either those of default schema or those of a
+ * given schema. postgres lists tables of a schema through
+ * information_schema while other dialects prefix table names with schema.
+ * @param {QueryInterface} queryInterface - sequelize query interface
+ * @param {string=} schemaName - schema to list tables of
+ * @return {Promise.<Array.<string> >} - table names, without schema
+ */
+const listTables = (queryInterface, schemaName) => {
+  const sequelize = queryInterface.sequelize;
+  const names = () => queryInterface.showAllTables()
+    .then(result => result.map(x => (type.isString(x) ? x : x.tableName)));
+
+  if (type.isOptional(schemaName)) {
+    return names();
+  }
+
+  if (sequelize.getDialect() === 'postgres') {
+    return sequelize.query('SELECT table_name AS "tableName" FROM ' +
+      'information_schema.tables WHERE table_schema = :schema AND ' +
+      'table_type LIKE \'%TABLE\'', {
+        replacements: {schema: schemaName},
+        type: sequelize.QueryTypes.SELECT
+      }).then(result => result.map(x => x.tableName));
+  }
+
+  const prefix = `${schemaName}.`;
+  return names().then(result => result
+    .filter(x => x.startsWith(prefix))
+    .map(x => x.substr(prefix.length)));
+};
+
+/**
+ * @desc describes schema of tables in a normalized form fit for comparison.
+ * foreign keys are described only if sequelize provides
+ * queryInterface.getForeignKeyReferencesForTable.
+ * @param {QueryInterface} queryInterface - sequelize query interface
+ * @param {RegExp|function|Array.<string>=} tables - tables to describe,
+ * defaults to every table
+ * @param {string=} schemaName - schema to describe tables of, defaults to
+ * default schema of connection
+ * @return {Promise.<Object>} - "tables" by name, each having "columns" by
+ * name, "indexes" and "foreignKeys"
+ */
+const describe = (queryInterface, tables, schemaName) =>
+task.spawn(function * task() {
+  const matches = matcher(tables);
+  const scoped = !type.isOptional(schemaName);
+  const postgres = queryInterface.sequelize.getDialect() === 'postgres';
+  const names = (yield listTables(queryInterface, schemaName))
+    .filter(matches)
+    .sort();
+  const result = {};
+
+  for (const name of names) {
+    const table = scoped ? {tableName: name, schema: schemaName} : name;
+    const columns = yield queryInterface.describeTable(name,
+      scoped ? {schema: schemaName} : undefined);
+    const indexes = yield queryInterface.showIndex(table);
+    const foreignKeys = type.isFunction(
+      queryInterface.getForeignKeyReferencesForTable) ?
+      yield queryInterface.getForeignKeyReferencesForTable(
+        !scoped || postgres ? name : `${schemaName}.${name}`) : [];
+
+    result[name] = {
+      columns: sortKeys(Object.keys(columns).reduce((prev, x) =>
+        Object.assign(prev, {
+          [x]: normalizeColumn(columns[x])
+        }), {})),
+      indexes: indexes.map(normalizeIndex)
+        .sort((a, b) => (a.name < b.name ? -1 : 1)),
+      foreignKeys: foreignKeys.map(normalizeForeignKey)
+        .sort((a, b) => (a.column < b.column ? -1 : 1))
+    };
+  }
+
+  return {tables: result};
+});
+
+/**
+ * @desc lists differences between two schema descriptions
+ * @param {Object} expected - description of expected schema
+ * @param {Object} actual - description of live schema
+ * @return {Array.<string>} - differences, empty if schemas match
+ */
+const diff = (expected, actual) => {
+  const result = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const compare = (kind, a, b, key) => {
+    const keysA = a.map(key);
+    const keysB = b.map(key);
+
+    keysA.filter(x => keysB.indexOf(x) < 0).forEach(x =>
+      result.push(`${kind} ${x} is missing`));
+    keysB.filter(x => keysA.indexOf(x) < 0).forEach(x =>
+      result.push(`${kind} ${x} is unexpected`));
+    a.forEach((x, i) => {
+      const other = b[keysB.indexOf(keysA[i])];
+
+      if (!type.isOptional(other) && !same(x, other)) {
+        result.push(`${kind} ${keysA[i]} differs, expected ` +
+          `${JSON.stringify(x)} but found ${JSON.stringify(other)}`);
+      }
+    });
+  };
+
+  Object.keys(expected.tables)
+    .filter(x => !actual.tables.hasOwnProperty(x))
+    .forEach(x => result.push(`table ${x} is missing`));
+  Object.keys(actual.tables)
+    .filter(x => !expected.tables.hasOwnProperty(x))
+    .forEach(x => result.push(`table ${x} is unexpected`));
+
+  Object.keys(expected.tables)
+    .filter(x => actual.tables.hasOwnProperty(x))
+    .forEach(name => {
+      const a = expected.tables[name];
+      const b = actual.tables[name];
+      const columns = x => Object.keys(x.columns).map(y =>
+        Object.assign({name: y}, x.columns[y]));
+
+      compare('column', columns(a), columns(b), x => `${name}.${x.name}`);
+      compare('index', a.indexes, b.indexes, x => `${name}.${x.name}`);
+      compare('foreign key', a.foreignKeys, b.foreignKeys,
+        x => `${name}.${x.column}`);
+    });
+
+  return result;
+};
+
+module.exports = {
+  matcher: matcher,
+  describe: describe,
+  diff: diff
+};
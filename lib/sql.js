@@ -0,0 +1,195 @@
+"use strict";
+
+const path = require('path');
+const task = require('xcane').task;
+
+/**
+ * @desc dialects sequelize supports, which may prefix direction of an sql
+ * migration file to make it specific to that dialect
+ */
+const dialects = ['postgres', 'mysql', 'mariadb', 'sqlite', 'mssql'];
+
+/**
+ * @desc parses name of an sql migration file, either
+ * "<version>-<name>.up.sql", "<version>-<name>.down.sql" or the same with
+ * a dialect before direction such as "<version>-<name>.postgres.up.sql"
+ * @param {string} file - name of file
+ * @return {?Object} - "version", "direction" and "dialect" (null if file
+ * is for every dialect), or null if file is not an sql migration file
+ */
+const parse = file => {
+  const match = /^(.+?)(\.([a-z]+))?\.(up|down)\.sql$/
+    .exec(path.basename(file));
+
+  if (match === null) {
+    return null;
+  }
+
+  if (match[3] && dialects.indexOf(match[3]) < 0) {
+    return {
+      version: `${match[1]}.${match[3]}`,
+      direction: match[4],
+      dialect: null
+    };
+  }
+
+  return {
+    version: match[1],
+    direction: match[4],
+    dialect: match[3] || null
+  };
+};
+
+/**
+ * @desc splits an sql script into statements on semicolons which are not
+ * part of quoted strings, identifiers, comments or postgres dollar quoted
+ * bodies. statements having nothing but comments are dropped. backslash
+ * escapes quotes within strings of mysql and mariadb, and within postgres
+ * "E'...'" strings.
+ * @param {string} sql - sql script
+ * @param {string=} dialect - dialect of working database
+ * @return {Array.<string>} - statements without trailing semicolons
+ */
+const split = (sql, dialect) => {
+  const result = [];
+  let start = 0;
+  let content = false;
+  let i = 0;
+
+  const push = end => {
+    if (content) {
+      result.push(sql.substring(start, end).trim());
+    }
+
+    start = end + 1;
+    content = false;
+  };
+
+  while (i < sql.length) {
+    const c = sql[i];
+    const rest = sql.substr(i);
+    let end = -1;
+
+    if (rest.startsWith('--')) {
+      end = sql.indexOf('\n', i);
+      i = end < 0 ? sql.length : end + 1;
+      continue;
+    }
+
+    if (rest.startsWith('/*')) {
+      end = sql.indexOf('*/', i + 2);
+      i = end < 0 ? sql.length : end + 2;
+      continue;
+    }
+
+    if (c === ';') {
+      push(i);
+      i++;
+      continue;
+    }
+
+    if (!/\s/.test(c)) {
+      content = true;
+    }
+
+    const dollar = /^\$([A-Za-z_]\w*)?\$/.exec(rest);
+
+    if (c === '\'' || c === '"' || c === '`') {
+      const escapes = ((dialect === 'mysql' || dialect === 'mariadb') &&
+        c !== '`') || (dialect === 'postgres' && c === '\'' &&
+        /^[eE]$/.test(sql[i - 1] || '') && !/\w/.test(sql[i - 2] || ''));
+      end = i + 1;
+
+      while (end < sql.length) {
+        if (escapes && sql[end] === '\\') {
+          end += 2;
+        } else if (sql[end] === c && sql[end + 1] === c) {
+          end += 2;
+        } else if (sql[end] === c) {
+          break;
+        } else {
+          end++;
+        }
+      }
+
+      i = end + 1;
+    } else if (dollar === null) {
+      i++;
+    } else {
+      end = sql.indexOf(dollar[0], i + dollar[0].length);
+      i = end < 0 ? sql.length : end + dollar[0].length;
+    }
+  }
+
+  push(sql.length);
+  return result;
+};
+
+/**
+ * @desc creates a migration method running statements of an sql file
+ * through transaction of migration step
+ * @param {string} file - full path of sql file
+ * @param {function} readFile - reads a file, returning a promise
+ * @return {function} - migration method called as
+ * method(queryInterface, sequelize, context)
+ */
+const run = (file, readFile) => (queryInterface, sequelize, context) =>
+  task.spawn(function * task() {
+    const sql = (yield readFile(file)).toString();
+
+    for (const statement of split(sql, sequelize.getDialect())) {
+      yield sequelize.query(statement, {
+        transaction: context.transaction
+      });
+    }
+  });
+
+/**
+ * @desc creates a migration script out of sql files of a version
+ * @param {Array.<string>} files - full paths of sql files of a version
+ * @param {string} dialect - dialect of working database
+ * @param {function} readFile - reads a file, returning a promise
+ * @return {Object} - migration script having "up" and "down" methods for
+ * directions that have a generic or dialect specific file, the latter
+ * preferred
+ */
+const script = (files, dialect, readFile) => {
+  const result = {};
+
+  ['up', 'down'].forEach(direction => {
+    const candidates = files
+      .map(x => ({
+        file: x,
+        info: parse(x)
+      }))
+      .filter(x => x.info.direction === direction &&
+        (x.info.dialect === null || x.info.dialect === dialect))
+      .sort((a, b) => (a.info.dialect === null) - (b.info.dialect === null));
+
+    if (candidates.length < 1) {
+      return;
+    }
+
+    result[direction] = run(candidates[0].file, readFile);
+  });
+
+  return result;
+};
+
+/**
+ * @desc creates a repeatable migration script out of a single sql file,
+ * e.g. "R-<name>.sql", which has no "down"
+ * @param {string} file - full path of sql file
+ * @param {function} readFile - reads a file, returning a promise
+ * @return {Object} - migration script having an "up" method
+ */
+const repeatable = (file, readFile) => ({
+  up: run(file, readFile)
+});
+
+module.exports = {
+  parse: parse,
+  split: split,
+  script: script,
+  repeatable: repeatable
+};
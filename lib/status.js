@@ -0,0 +1,77 @@
+"use strict";
+
+const type = require('xcane').type;
+
+/**
+ * @desc markers of version states in table format
+ */
+const markers = {
+  'applied': 'x',
+  'pending': ' ',
+  'out-of-order': '!',
+  'missing': '?'
+};
+
+/**
+ * @desc converts a timestamp to an iso date string
+ * @param {?number} timestamp - milliseconds since epoch
+ * @return {?string} - iso date string, null if timestamp is null
+ */
+const isoDate = timestamp =>
+  (type.isOptional(timestamp) ? null : new Date(timestamp).toISOString());
+
+/**
+ * @desc formats a status report as plain text lines, one row per version
+ * marked as "[x]" if applied, "[ ]" if pending, "[!]" if out of order or
+ * "[?]" if missing from migration folder, followed by summary counts
+ * @param {Object} report - result of
+ * {@link SequelizeMicroMigration#status}
+ * @return {string} - formatted report
+ */
+const table = report => {
+  const width = report.versions.reduce((prev, x) =>
+    Math.max(prev, x.version.length), 0);
+  const stateWidth = Object.keys(markers).reduce((prev, x) =>
+    Math.max(prev, x.length), 0);
+  const pad = (x, n) => x + ' '.repeat(n - x.length);
+  const lines = [
+    `application: ${report.application}`,
+    `current: ${report.current}`
+  ];
+
+  if (!type.isNull(report.dirty)) {
+    lines.push(`dirty: ${report.dirty.direction} ${report.dirty.version}`);
+  }
+
+  report.versions.forEach(x => lines.push(
+    (`[${markers[x.state]}] ${pad(x.version, width)}  ` +
+      `${pad(x.state, stateWidth)}  ${isoDate(x.appliedAt) || ''}`).trim()));
+
+  lines.push(Object.keys(report.summary)
+    .map(x => `${x} ${report.summary[x]}`)
+    .join(', '));
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * @desc formats a status report as json, suitable for health endpoints.
+ * timestamps are written as iso date strings.
+ * @param {Object} report - result of
+ * {@link SequelizeMicroMigration#status}
+ * @param {number|string=} space - indentation passed to JSON.stringify
+ * @return {string} - formatted report
+ */
+const json = (report, space) => JSON.stringify(Object.assign({}, report, {
+  dirty: type.isNull(report.dirty) ? null : Object.assign({}, report.dirty, {
+    startedAt: isoDate(report.dirty.startedAt)
+  }),
+  versions: report.versions.map(x => Object.assign({}, x, {
+    appliedAt: isoDate(x.appliedAt)
+  }))
+}), null, space);
+
+module.exports = {
+  table: table,
+  json: json
+};
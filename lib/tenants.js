@@ -0,0 +1,227 @@
+"use strict";
+
+const type = require('xcane').type;
+const task = require('xcane').task;
+
+/**
+ * @desc runs migrations of an application on many databases, e.g. one
+ * schema per tenant, with bounded concurrency. every run reports tenants
+ * migrated, failed and skipped, and those failed or skipped can be resumed.
+ * @author Mohamad mehdi Kharatizadeh - m_kharatizadeh@yahoo.com
+ */
+class TenantRunner {
+  /**
+   * @desc create a new instance of TenantRunner
+   * @param {Array.<Sequelize>|Object.<string, Sequelize>|function}
+   * connections - sequelize instances of tenants, either a list whose
+   * indexes name tenants, a map of tenant names to instances, or a factory
+   * returning instance (or promise of instance) of a tenant name
+   * @param {string} application - application or module name
+   * @param {string|Array.<string|Object>} migrationDir - location of
+   * migration folder or list of migration sources
+   * @param {Object=} options - additional options
+   * @param {Array.<string>=} options.tenants - names of tenants, required
+   * if connections is a factory
+   * @param {number=} options.concurrency - number of tenants migrated at
+   * the same time, defaults to 1
+   * @param {boolean=} options.stopOnFailure - if set to false, remaining
+   * tenants are migrated after a tenant fails, otherwise they are skipped
+   * @param {Object=} options.migration - options passed to every
+   * SequelizeMicroMigration created by this runner
+   */
+  constructor(connections, application, migrationDir, options) {
+    options = Object.assign({}, options);
+
+    if (type.isFunction(connections)) {
+      if (!Array.isArray(options.tenants)) {
+        throw new Error(`tenants of ${application} are required along ` +
+          `with a connection factory`);
+      }
+
+      this._tenants = options.tenants.slice();
+      this._factory = connections;
+    } else {
+      this._tenants = Object.keys(connections);
+      this._factory = tenant => connections[tenant];
+    }
+
+    this._application = application;
+    this._migrationDir = migrationDir;
+    this._concurrency = Math.max(1, options.concurrency || 1);
+    this._stopOnFailure = options.stopOnFailure !== false;
+    this._options = options.migration;
+    this._migrations = {};
+    this._last = null;
+  }
+
+  /**
+   * @desc return names of tenants
+   * @return {Array.<string>} - tenant names
+   */
+  get tenants() {
+    return this._tenants.slice();
+  }
+
+  /**
+   * @desc returns migration instance of a tenant, creating it and its
+   * bookkeeping tables on first use, see
+   * {@link SequelizeMicroMigration#syncBookkeeping}
+   * @param {string} tenant - tenant name
+   * @return {Promise.<SequelizeMicroMigration>} - migration instance
+   */
+  migration(tenant) {
+    if (this._tenants.indexOf(tenant) < 0) {
+      return Promise.reject(new Error(
+        `tenant ${tenant} of ${this._application} does not exist`));
+    }
+
+    if (this._migrations.hasOwnProperty(tenant)) {
+      return Promise.resolve(this._migrations[tenant]);
+    }
+
+    const SequelizeMicroMigration = require('../index');
+
+    return Promise.resolve(this._factory(tenant)).then(sequelize => {
+      const migration = new SequelizeMicroMigration(
+        sequelize, this._application, this._migrationDir, this._options);
+
+      return migration.syncBookkeeping().then(() => {
+        if (!this._migrations.hasOwnProperty(tenant)) {
+          this._migrations[tenant] = migration;
+        }
+
+        return Promise.resolve(this._migrations[tenant]);
+      });
+    });
+  }
+
+  /**
+   * @desc calls a method of migration instances of tenants, at most
+   * "concurrency" tenants at a time
+   * @param {string} method - either "up" or "down"
+   * @param {Array} args - arguments of method
+   * @param {Array.<string>} tenants - tenants to migrate
+   * @return {Promise.<Object>} - report of run, see
+   * {@link TenantRunner#up}
+   * @private
+   */
+  _run(method, args, tenants) {
+    const self = this;
+    const unknown = tenants.filter(x => this._tenants.indexOf(x) < 0);
+
+    if (unknown.length > 0) {
+      return Promise.reject(new Error(`tenants ${unknown.join(', ')} of ` +
+        `${this._application} do not exist`));
+    }
+
+    const report = {
+      succeeded: [],
+      failed: [],
+      skipped: [],
+      results: {},
+      errors: {}
+    };
+    let next = 0;
+    let stopped = false;
+
+    const worker = () => task.spawn(function * task() {
+      while (next < tenants.length) {
+        const tenant = tenants[next++];
+
+        if (stopped) {
+          report.skipped.push(tenant);
+          continue;
+        }
+
+        try {
+          const migration = yield self.migration(tenant);
+          report.results[tenant] =
+            yield migration[method].apply(migration, args);
+          report.succeeded.push(tenant);
+        } catch (err) {
+          report.failed.push(tenant);
+          report.errors[tenant] = err;
+          stopped = self._stopOnFailure;
+        }
+      }
+    });
+
+    const workers = [];
+    for (let i = 0; i < Math.min(this._concurrency, tenants.length); i++) {
+      workers.push(worker());
+    }
+
+    return Promise.all(workers).then(() => {
+      const order = (a, b) => tenants.indexOf(a) - tenants.indexOf(b);
+
+      report.succeeded.sort(order);
+      report.failed.sort(order);
+      report.skipped.sort(order);
+      this._last = {
+        method: method,
+        args: args,
+        report: report
+      };
+
+      return Promise.resolve(report);
+    });
+  }
+
+  /**
+   * @desc travells databases of tenants up, see
+   * {@link SequelizeMicroMigration#up}
+   * @param {number|string|Object} [to] - target version
+   * @param {boolean=} force - if set to true, will take downgrade actions
+   * as well
+   * @param {Object=} options - options passed to
+   * {@link SequelizeMicroMigration#up}
+   * @param {Array.<string>=} options.tenants - tenants to migrate, defaults
+   * to every tenant
+   * @return {Promise.<Object>} - report having "succeeded", "failed" and
+   * "skipped" lists of tenants, "results" of succeeded tenants and "errors"
+   * of failed tenants by name. failures do not reject.
+   */
+  up(to, force, options) {
+    options = Object.assign({}, options);
+    const tenants = options.tenants || this._tenants;
+    delete options.tenants;
+
+    return this._run('up', [to, force, options], tenants);
+  }
+
+  /**
+   * @desc travells databases of tenants down, see
+   * {@link SequelizeMicroMigration#down}
+   * @param {number|string|Object} [to] - target version
+   * @param {Object=} options - options passed to
+   * {@link SequelizeMicroMigration#down}
+   * @param {Array.<string>=} options.tenants - tenants to migrate, defaults
+   * to every tenant
+   * @return {Promise.<Object>} - report of run, see {@link TenantRunner#up}
+   */
+  down(to, options) {
+    options = Object.assign({}, options);
+    const tenants = options.tenants || this._tenants;
+    delete options.tenants;
+
+    return this._run('down', [to, options], tenants);
+  }
+
+  /**
+   * @desc runs last "up" or "down" again on tenants it failed or skipped
+   * @return {Promise.<Object>} - report of run, see {@link TenantRunner#up}
+   */
+  resume() {
+    if (type.isNull(this._last)) {
+      return Promise.reject(
+        new Error(`tenants of ${this._application} have no run to resume`));
+    }
+
+    const report = this._last.report;
+    return this._run(this._last.method, this._last.args,
+      this._tenants.filter(x => report.failed.indexOf(x) >= 0 ||
+        report.skipped.indexOf(x) >= 0));
+  }
+}
+
+module.exports = TenantRunner;
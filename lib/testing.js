@@ -0,0 +1,86 @@
+"use strict";
+
+const type = require('xcane').type;
+const task = require('xcane').task;
+const schema = require('./schema');
+
+/**
+ * @desc checks that every migration of an application can be reverted
+ * cleanly, meant for test suites of migration authors. on a throwaway
+ * database without applied migrations, each step is applied, reverted and
+ * applied again, comparing schema after each move. steps of irreversible
+ * and repeatable migrations are only applied.
+ * @param {SequelizeMicroMigration} migration - migration instance on a
+ * throwaway database
+ * @param {Object=} options - additional options
+ * @param {RegExp|function|Array.<string>=} options.tables - tables to
+ * compare, defaults to those of snapshot option of migration or every table
+ * @return {Promise.<Object>} - report having "versions" checked and
+ * "skipped" irreversible versions. rejects with an error naming first
+ * version whose "down" does not restore prior schema, or whose "up" does
+ * not produce same schema again, having "version" and "differences".
+ */
+const checkReversibility = (migration, options) => {
+  options = Object.assign({}, options);
+  const describe = () => (type.isOptional(options.tables) ?
+    migration.describeSchema() :
+    schema.describe(migration.sequelize.getQueryInterface(), options.tables,
+      migration.schema));
+  const check = (version, expected, actual, problem) => {
+    const differences = schema.diff(expected, actual);
+
+    if (differences.length > 0) {
+      const err = new Error(`${migration.application} ${version} is not ` +
+        `reversible, ${problem}: ${differences.join('; ')}`);
+      err.version = version;
+      err.differences = differences;
+      throw err;
+    }
+  };
+
+  return task.spawn(function * task() {
+    if ((yield migration.currentVersions()).length > 0) {
+      throw new Error(`reversibility of ${migration.application} can only ` +
+        `be checked on a database without applied migrations`);
+    }
+
+    const versions = [];
+    const skipped = [];
+    let before = yield describe();
+
+    for (const step of yield migration.listUp()) {
+      const version = step[0];
+
+      yield migration.execute([version, 'up']);
+      const after = yield describe();
+
+      if (step[2] === 'repeatable') {
+        before = after;
+        continue;
+      }
+
+      if (step[2] === 'irreversible') {
+        skipped.push(version);
+      } else {
+        yield migration.execute([version, 'down']);
+        check(version, before, yield describe(),
+          'down does not restore prior schema');
+        yield migration.execute([version, 'up']);
+        check(version, after, yield describe(),
+          'up does not produce same schema again');
+        versions.push(version);
+      }
+
+      before = after;
+    }
+
+    return {
+      versions: versions,
+      skipped: skipped
+    };
+  });
+};
+
+module.exports = {
+  checkReversibility: checkReversibility
+};
@@ -0,0 +1,234 @@
+"use strict";
+
+const MicroMigration = require('../index');
+const MigrationCli = require('../lib/cli');
+const expect = require('chai').expect;
+const task = require('xcane').task;
+const fs = require('mz/fs');
+const os = require('os');
+const path = require('path');
+
+class Output {
+  constructor() {
+    this.text = '';
+  }
+
+  write(x) {
+    this.text += x;
+  }
+}
+
+describe('MigrationCli', () => {
+  let dir = null;
+  let stdout = null;
+  let stderr = null;
+  let cli = null;
+
+  beforeEach(() => {
+    MicroMigration._overrideFs(fs);
+    MicroMigration._overrideRequire(x => require(x));
+
+    dir = path.join(os.tmpdir(), `micro-migration-${process.pid}-${Date.now()}`);
+    fs.mkdirSync(dir);
+    fs.mkdirSync(path.join(dir, 'migrations'));
+    fs.writeFileSync(path.join(dir, 'micro-migration.json'), JSON.stringify({
+      sequelize: {
+        dialect: 'sqlite',
+        storage: path.join(dir, 'db.sqlite')
+      },
+      application: 'myApplication',
+      migrationDir: 'migrations'
+    }));
+
+    stdout = new Output();
+    stderr = new Output();
+    cli = new MigrationCli({stdout: stdout, stderr: stderr, cwd: dir});
+  });
+
+  afterEach(() => {
+    fs.readdirSync(path.join(dir, 'migrations')).forEach(x =>
+      fs.unlinkSync(path.join(dir, 'migrations', x)));
+    fs.rmdirSync(path.join(dir, 'migrations'));
+    fs.readdirSync(dir).forEach(x => fs.unlinkSync(path.join(dir, x)));
+    fs.rmdirSync(dir);
+  });
+
+  describe('#parse()', () => {
+    it('should separate options from arguments', () =>
+      expect(cli.parse(['-c', 'x.json', 'down', '-2', '--force']))
+        .to.be.deep.equal({
+          config: 'x.json',
+          force: true,
+          dryRun: false,
+          allowIrreversible: false,
+          all: false,
+          args: ['down', '-2']
+        }));
+
+    it('should refuse unknown options', () =>
+      expect(() => cli.parse(['--what'])).to.throw(Error));
+  });
+
+  describe('#fileName()', () =>
+    it('should prefix name with sortable timestamp', () =>
+      expect(cli.fileName('add person', new Date(Date.UTC(2016, 0, 2, 3, 4))))
+        .to.be.equal('20160102030400-add-person.js')));
+
+  describe('#run()', () => {
+    it('should fail with usage error without command', () =>
+      task.spawn(function* () {
+        expect(yield cli.run([])).to.be.equal(MigrationCli.EXIT_USAGE);
+        expect(stderr.text).to.match(/^command is missing/);
+      }));
+
+    it('should fail with usage error on unknown command', () =>
+      task.spawn(function* () {
+        expect(yield cli.run(['what'])).to.be.equal(MigrationCli.EXIT_USAGE);
+      }));
+
+    it('should create, apply and revert migrations', () =>
+      task.spawn(function* () {
+        expect(yield cli.run(['create', 'AddPerson']))
+          .to.be.equal(MigrationCli.EXIT_SUCCESS);
+
+        const files = fs.readdirSync(path.join(dir, 'migrations'));
+        const version = files[0].replace(/\.js$/g, '');
+        expect(files.length).to.be.equal(1);
+        expect(files[0]).to.match(/^\d{14}-AddPerson\.js$/);
+
+        expect(yield cli.run(['up'])).to.be.equal(MigrationCli.EXIT_SUCCESS);
+        expect(yield cli.run(['status']))
+          .to.be.equal(MigrationCli.EXIT_SUCCESS);
+        expect(stdout.text).to.contain(`current: ${version}`);
+        expect(stdout.text).to.contain(`[x] ${version}`);
+
+        expect(yield cli.run(['validate']))
+          .to.be.equal(MigrationCli.EXIT_SUCCESS);
+        fs.appendFileSync(path.join(dir, 'migrations', files[0]), '\n');
+        expect(yield cli.run(['validate']))
+          .to.be.equal(MigrationCli.EXIT_FAILURE);
+        expect(stdout.text).to.contain(`modified ${version}`);
+
+        expect(yield cli.run(['down'])).to.be.equal(MigrationCli.EXIT_SUCCESS);
+        stdout.text = '';
+        expect(yield cli.run(['plan'])).to.be.equal(MigrationCli.EXIT_SUCCESS);
+        expect(stdout.text).to.be.equal(`up ${version}\n`);
+      }));
+
+    it('should bump prefix of scripts created in the same second', () =>
+      task.spawn(function* () {
+        const migrationDir = path.join(dir, 'migrations');
+        const now = Date.now();
+
+        for (let i = 0; i < 3; i++) {
+          fs.writeFileSync(path.join(migrationDir,
+            cli.fileName('Existing', new Date(now + i * 1000))), '');
+        }
+
+        expect(yield cli.run(['create', 'AddPerson']))
+          .to.be.equal(MigrationCli.EXIT_SUCCESS);
+
+        const prefixes = fs.readdirSync(migrationDir).sort()
+          .map(x => x.split('-', 2)[0]);
+        expect(prefixes.length).to.be.equal(4);
+        expect(prefixes.filter((x, i) => prefixes.indexOf(x) === i).length)
+          .to.be.equal(4);
+        expect(fs.readdirSync(migrationDir).sort()[3])
+          .to.match(/^\d{14}-AddPerson\.js$/);
+      }));
+
+    it('should tag versions and migrate to symbolic targets', () =>
+      task.spawn(function* () {
+        yield cli.run(['create', 'AddPerson']);
+        const version = fs.readdirSync(path.join(dir, 'migrations'))[0]
+          .replace(/\.js$/g, '');
+
+        expect(yield cli.run(['up'])).to.be.equal(MigrationCli.EXIT_SUCCESS);
+        expect(yield cli.run(['tag', 'release']))
+          .to.be.equal(MigrationCli.EXIT_SUCCESS);
+        expect(stdout.text).to.contain(`tagged ${version} as release\n`);
+
+        expect(yield cli.run(['down', 'zero']))
+          .to.be.equal(MigrationCli.EXIT_SUCCESS);
+        stdout.text = '';
+        expect(yield cli.run(['plan', 'up', 'tag:release']))
+          .to.be.equal(MigrationCli.EXIT_SUCCESS);
+        expect(stdout.text).to.be.equal(`up ${version}\n`);
+      }));
+
+    it('should squash a range of versions into a baseline', () =>
+      task.spawn(function* () {
+        const stub = 'module.exports = {up: () => Promise.resolve(), ' +
+          'down: () => Promise.resolve()};\n';
+        fs.writeFileSync(
+          path.join(dir, 'migrations', '201601011200-AddPerson.js'), stub);
+        fs.writeFileSync(
+          path.join(dir, 'migrations', '201601021200-AddName.js'), stub);
+
+        expect(yield cli.run(['squash', '201601011200', '201601021200',
+          'Base'])).to.be.equal(MigrationCli.EXIT_SUCCESS);
+        const baseline = path.join(
+          dir, 'migrations', '201601021200.1-Base.js');
+        expect(stdout.text).to.be.equal(`created ${baseline}\n`);
+        expect(require(baseline).replaces).to.be.deep.equal([
+          '201601011200-AddPerson',
+          '201601021200-AddName'
+        ]);
+
+        stdout.text = '';
+        expect(yield cli.run(['plan'])).to.be.equal(MigrationCli.EXIT_SUCCESS);
+        expect(stdout.text).to.be.equal('up 201601021200.1-Base\n');
+      }));
+
+    it('should name baselines a second later under timestamp scheme', () =>
+      task.spawn(function* () {
+        const stub = 'module.exports = {up: () => Promise.resolve(), ' +
+          'down: () => Promise.resolve()};\n';
+        const config = JSON.parse(fs.readFileSync(
+          path.join(dir, 'micro-migration.json')));
+        config.options = {versionScheme: 'timestamp'};
+        fs.writeFileSync(path.join(dir, 'micro-migration.json'),
+          JSON.stringify(config));
+        fs.writeFileSync(
+          path.join(dir, 'migrations', '201601011200-AddPerson.js'), stub);
+        fs.writeFileSync(
+          path.join(dir, 'migrations', '201601312359-AddName.js'), stub);
+
+        expect(yield cli.run(['squash', '201601011200', '201601312359',
+          'Base'])).to.be.equal(MigrationCli.EXIT_SUCCESS);
+        expect(stdout.text).to.be.equal(`created ${path.join(
+          dir, 'migrations', '20160131235901-Base.js')}\n`);
+      }));
+
+    it('should refuse to squash under integer scheme', () =>
+      task.spawn(function* () {
+        const stub = 'module.exports = {up: () => Promise.resolve(), ' +
+          'down: () => Promise.resolve()};\n';
+        const config = JSON.parse(fs.readFileSync(
+          path.join(dir, 'micro-migration.json')));
+        config.options = {versionScheme: 'integer'};
+        fs.writeFileSync(path.join(dir, 'micro-migration.json'),
+          JSON.stringify(config));
+        fs.writeFileSync(
+          path.join(dir, 'migrations', '1-AddPerson.js'), stub);
+        fs.writeFileSync(
+          path.join(dir, 'migrations', '2-AddName.js'), stub);
+
+        expect(yield cli.run(['squash', '1', '2', 'Base']))
+          .to.be.equal(MigrationCli.EXIT_FAILURE);
+        expect(stderr.text).to.be.equal('baselines can not be squashed ' +
+          'under integer version scheme, no version fits right after ' +
+          '2-AddName\n');
+        expect(fs.readdirSync(path.join(dir, 'migrations')).sort())
+          .to.be.deep.equal(['1-AddPerson.js', '2-AddName.js']);
+      }));
+
+    it('should fail on unknown target version', () =>
+      task.spawn(function* () {
+        expect(yield cli.run(['up', '201601011200']))
+          .to.be.equal(MigrationCli.EXIT_FAILURE);
+        expect(stderr.text).to.be.equal(
+          'version 201601011200 does not exist\n');
+      }));
+  });
+});
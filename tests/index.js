@@ -10,12 +10,27 @@ const clone = require('clone');
 
 let overrideFs = {
   _files: [],
+  _seeds: [],
+  _dirs: {},
   _lastDir: null,
   _storage: {},
   _upped: {},
+  _contents: {},
   readdir: dir => {
     overrideFs._lastDir = dir;
-    return Promise.resolve(overrideFs._files);
+
+    if (dir in overrideFs._dirs) {
+      return Promise.resolve(overrideFs._dirs[dir]);
+    }
+
+    return Promise.resolve(path.basename(dir) === 'seeders' ?
+      overrideFs._seeds : overrideFs._files);
+  },
+  readFile: file => Promise.resolve(
+    overrideFs._contents[path.basename(file)] || path.basename(file)),
+  writeFile: (file, content) => {
+    overrideFs._contents[path.basename(file)] = content;
+    return Promise.resolve();
   },
   _require: x => overrideFs._storage[x]
 };
@@ -150,6 +165,8 @@ describe('SequelizeMicroMigration', () => {
     migration = new MicroMigration(sequelize, 'myApplication', __dirname);
     overrideFs._lastDir = null;
     overrideFs._upped = {};
+    overrideFs._contents = {};
+    overrideFs._dirs = {};
 
     sequelize.sync().then(() => done()).catch(done);
   });
@@ -176,6 +193,18 @@ describe('SequelizeMicroMigration', () => {
         expect(overrideFs._lastDir).to.be.equal(__dirname);
       }));
 
+    it('should resolve relative migration folder', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        migration = new MicroMigration(sequelize, 'myApplication',
+          path.relative(process.cwd(), __dirname));
+        yield sequelize.sync();
+
+        expect(yield migration.listUp()).to.be.deep.equal(
+          filesSorted.map(x => [x.replace(/\.js$/g, ''), 'up']));
+        expect(overrideFs._lastDir).to.be.equal(__dirname);
+      }));
+
     it('should return correct list on empty database, permuted', () =>
       task.spawn(function* () {
         overrideFs._files = filesPermuted;
@@ -403,16 +432,20 @@ describe('SequelizeMicroMigration', () => {
           } catch (err) {
             expect(err).to.be.an.instanceof(Error);
             expect(err.message).to.be.equal(
-              'migration might cause loss of data,' +
-              'continue with force flag if necessary');
+              'myApplication has out-of-order migrations ' +
+              `${filesSorted[1].replace(/\.js$/g, '')}, continue with ` +
+              '"allow" or "rebase" out-of-order policy or force flag if ' +
+              'necessary');
           }
           try {
             yield migration.up(null, false);
           } catch (err) {
             expect(err).to.be.an.instanceof(Error);
             expect(err.message).to.be.equal(
-              'migration might cause loss of data,' +
-              'continue with force flag if necessary');
+              'myApplication has out-of-order migrations ' +
+              `${filesSorted[1].replace(/\.js$/g, '')}, continue with ` +
+              '"allow" or "rebase" out-of-order policy or force flag if ' +
+              'necessary');
           }
         }));
   });
@@ -549,64 +582,1893 @@ describe('SequelizeMicroMigration', () => {
         expect(overrideFs._upped[filesSorted[2]]).to.not.be.true;
         expect(overrideFs._upped[filesSorted[3]]).to.not.be.true;
       }));
-  });
 
-  describe('#requiresMigration', () => {
-    it('should correctly show need for migration', () =>
+    it('should pass transaction context to scripts', () =>
       task.spawn(function* () {
         overrideFs._files = filesSorted;
-        expect(yield migration.requiresMigration()).to.be.true;
-        yield migration.up();
-        expect(yield migration.requiresMigration()).to.be.false;
-        yield migration.down();
-        expect(yield migration.requiresMigration()).to.be.true;
+        const version = filesSorted[0].replace(/\.js$/g, '');
+        let newStorage = clone(overrideFs._storage);
+        let contexts = [];
+        newStorage[path.join(__dirname, version)] = {
+          up: (queryInterface, sequelize, context) => {
+            contexts.push(context);
+            return queryInterface.createTable('people', {
+              id: {
+                type: sequelize.Sequelize.INTEGER,
+                primaryKey: true
+              }
+            }, {
+              transaction: context.transaction
+            });
+          },
+          down: (queryInterface, sequelize, context) => {
+            contexts.push(context);
+            return queryInterface.dropTable('people', {
+              transaction: context.transaction
+            });
+          }
+        };
+        MicroMigration._overrideRequire(x => newStorage[x]);
+
+        yield migration.execute([version, 'up']);
+        yield migration.execute([version, 'down']);
+        expect(contexts.length).to.be.equal(2);
+        expect(contexts[0].application).to.be.equal('myApplication');
+        expect(contexts[0].version).to.be.equal(version);
+        expect(contexts[0].direction).to.be.equal('up');
+        expect(contexts[0].transaction).to.be.an.instanceof(
+          Sequelize.Transaction);
+        expect(contexts[0].sequelize).to.be.equal(sequelize);
+        expect(contexts[1].direction).to.be.equal('down');
+        expect(contexts[1].transaction).to.not.be.equal(
+          contexts[0].transaction);
+      }));
+
+    it('should not leave version marker behind on failure', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        const version = filesSorted[0].replace(/\.js$/g, '');
+        const putVersion = migration._putVersion.bind(migration);
+        const put = [];
+
+        // fails once version marker is written, so it must be rolled back
+        migration._putVersion = (x, checksum, transaction) => {
+          put.push(x);
+          return putVersion(x, checksum, transaction);
+        };
+        migration._setCurrent = () => Promise.reject(new Error('hey! abort!'));
+
+        try {
+          yield migration.execute([version, 'up']);
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal('hey! abort!');
+        }
+
+        expect(put).to.be.deep.equal([version]);
+        expect(yield migration.currentVersions()).to.be.deep.equal([]);
+        expect((yield migration._versionDb.all()).length).to.be.equal(0);
+        expect(yield migration.current()).to.be.equal('0');
       }));
   });
 
-  describe('#currentVersions()', () =>
-    it('should correctly show current versions', () =>
+  describe('#dirtyState()', () => {
+    const failFirst = () => {
+      let newStorage = clone(overrideFs._storage);
+      newStorage[path.join(__dirname, filesSorted[0].replace(/\.js$/g, ''))] = {
+        up: () => Promise.reject(new Error('hey! abort!'))
+      };
+      MicroMigration._overrideRequire(x => newStorage[x]);
+    };
+
+    it('should be clean after a rolled back failure', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        failFirst();
+
+        try {
+          yield migration.up();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal('hey! abort!');
+        }
+
+        expect(yield migration.dirtyState()).to.be.null;
+      }));
+
+    it('should stay dirty on dialects without transactional ddl', () =>
       task.spawn(function* () {
         overrideFs._files = filesSorted;
+        const version = filesSorted[0].replace(/\.js$/g, '');
+        sequelize.getDialect = () => 'mysql';
+        failFirst();
+
+        try {
+          yield migration.up();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal('hey! abort!');
+        }
+
+        const dirty = yield migration.dirtyState();
+        expect(dirty.version).to.be.equal(version);
+        expect(dirty.direction).to.be.equal('up');
+        expect(dirty.startedAt).to.be.a('number');
+
+        try {
+          yield migration.up();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal(`myApplication is dirty since ` +
+            `migrating up ${version} failed, repair database and resolve ` +
+            `it as applied or reverted`);
+        }
+      }));
+  });
+
+  describe('#resolve()', () => {
+    const version = filesSorted[0].replace(/\.js$/g, '');
+
+    beforeEach(() => {
+      sequelize.getDialect = () => 'mysql';
+      let newStorage = clone(overrideFs._storage);
+      newStorage[path.join(__dirname, version)] = {
+        up: () => Promise.reject(new Error('hey! abort!'))
+      };
+      MicroMigration._overrideRequire(x => newStorage[x]);
+      overrideFs._files = filesSorted;
+
+      return migration.up().catch(() => null);
+    });
+
+    it('should record version as applied', () =>
+      task.spawn(function* () {
+        yield migration.resolve(version, 'applied');
+        expect(yield migration.dirtyState()).to.be.null;
+        expect(yield migration.currentVersions()).to.be.deep.equal([version]);
+        expect(yield migration.current()).to.be.equal(version);
+      }));
+
+    it('should record version as reverted', () =>
+      task.spawn(function* () {
+        yield migration.resolve(version, 'reverted');
+        expect(yield migration.dirtyState()).to.be.null;
         expect(yield migration.currentVersions()).to.be.deep.equal([]);
-        yield migration.up(1);
-        expect(yield migration.currentVersions()).to.be.deep.equal([
-          filesSorted[0].replace(/\.js$/g, '')
-        ]);
-        yield migration.up(1);
-        expect(yield migration.currentVersions()).to.be.deep.equal([
-          filesSorted[0].replace(/\.js$/g, ''),
-          filesSorted[1].replace(/\.js$/g, '')
+      }));
+
+    it('should refuse other versions and unknown states', () =>
+      task.spawn(function* () {
+        try {
+          yield migration.resolve(filesSorted[1].replace(/\.js$/g, ''),
+            'applied');
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.match(/^myApplication is not dirty at /);
+        }
+
+        try {
+          yield migration.resolve(version, 'what');
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.match(/^unknown state what/);
+        }
+
+        expect(yield migration.dirtyState()).to.not.be.null;
+      }));
+  });
+
+  describe('#acquireLock()', () => {
+    let other = null;
+
+    beforeEach(() => {
+      other = new MicroMigration(sequelize, 'myApplication', __dirname, {
+        lock: {
+          owner: 'other',
+          wait: 50,
+          interval: 10
+        }
+      });
+    });
+
+    it('should report free lock', () =>
+      task.spawn(function* () {
+        expect(yield migration.lockState()).to.be.null;
+      }));
+
+    it('should report owner of taken lock', () =>
+      task.spawn(function* () {
+        yield other.acquireLock();
+        const lock = yield migration.lockState();
+        expect(lock.owner).to.be.equal('other');
+        expect(lock.acquiredAt).to.be.a('number');
+        expect(lock.stale).to.be.false;
+        expect(lock.mine).to.be.false;
+        expect((yield other.lockState()).mine).to.be.true;
+        yield other.releaseLock();
+        expect(yield migration.lockState()).to.be.null;
+      }));
+
+    it('should refuse to migrate while lock is held by another owner', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        yield migration.acquireLock();
+
+        try {
+          yield other.up();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err).to.be.an.instanceof(Error);
+          expect(err.message).to.match(/^migration lock of myApplication/);
+        }
+
+        expect(overrideFs._upped[filesSorted[0]]).to.be.undefined;
+        yield migration.releaseLock();
+        yield other.up();
+        expect(overrideFs._upped[filesSorted[3]]).to.be.true;
+        expect(yield migration.lockState()).to.be.null;
+      }));
+
+    it('should not release lock of another owner', () =>
+      task.spawn(function* () {
+        yield other.acquireLock();
+        yield migration.releaseLock();
+        expect((yield migration.lockState()).owner).to.be.equal('other');
+        yield migration.forceReleaseLock();
+        expect(yield migration.lockState()).to.be.null;
+      }));
+
+    it('should grant lock to one of concurrent owners only', () =>
+      task.spawn(function* () {
+        const third = new MicroMigration(
+          sequelize, 'myApplication', __dirname, {
+            lock: {
+              owner: 'third',
+              wait: 0
+            }
+          });
+        const results = yield Promise.all([
+          other.acquireLock().then(() => 'other', () => null),
+          third.acquireLock().then(() => 'third', () => null)
         ]);
-        yield migration.up(1);
-        expect(yield migration.currentVersions()).to.be.deep.equal([
-          filesSorted[0].replace(/\.js$/g, ''),
-          filesSorted[1].replace(/\.js$/g, ''),
-          filesSorted[2].replace(/\.js$/g, '')
+
+        expect(results.filter(x => x !== null).length).to.be.equal(1);
+        expect(results).to.include((yield migration.lockState()).owner);
+        yield migration.forceReleaseLock();
+      }));
+
+    it('should run overlapping calls of an instance one at a time', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        yield Promise.all([migration.up(), migration.up()]);
+        expect(yield migration.currentVersions()).to.be.deep.equal(
+          filesSorted.map(x => x.replace(/\.js$/g, '')));
+        expect(yield migration.lockState()).to.be.null;
+      }));
+
+    it('should keep lock fresh during long steps', () =>
+      task.spawn(function* () {
+        const version = filesSorted[0].replace(/\.js$/g, '');
+        const slow = new MicroMigration(sequelize, 'myApplication', [{
+          version: version,
+          up: () => new Promise(resolve => setTimeout(resolve, 200))
+        }], {
+          lock: {
+            owner: 'slow',
+            interval: 10,
+            stale: 60
+          }
+        });
+        const taker = new MicroMigration(
+          sequelize, 'myApplication', __dirname, {
+            lock: {
+              owner: 'taker',
+              wait: 0,
+              stale: 60
+            }
+          });
+        const running = slow.up();
+
+        yield new Promise(resolve => setTimeout(resolve, 120));
+
+        try {
+          yield taker.acquireLock();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal(
+            'migration lock of myApplication is held by slow');
+        }
+
+        yield running;
+        expect(yield slow.currentVersions()).to.be.deep.equal([version]);
+      }));
+
+    it('should take over stale lock', () =>
+      task.spawn(function* () {
+        const stale = new MicroMigration(
+          sequelize, 'myApplication', __dirname, {
+            lock: {
+              owner: 'stale',
+              wait: 0,
+              stale: -1
+            }
+          });
+
+        yield other.acquireLock();
+        yield stale.acquireLock();
+        expect((yield migration.lockState()).owner).to.be.equal('stale');
+        yield stale.releaseLock();
+      }));
+
+    it('should release lock when migration fails', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        const version = filesSorted[0].replace(/\.js$/g, '');
+        let newStorage = clone(overrideFs._storage);
+        newStorage[path.join(__dirname, version)] = {
+          up: () => Promise.reject(new Error('hey! abort!'))
+        };
+        MicroMigration._overrideRequire(x => newStorage[x]);
+
+        try {
+          yield migration.up();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal('hey! abort!');
+        }
+
+        expect(yield migration.lockState()).to.be.null;
+      }));
+  });
+
+  describe('sql migrations', () => {
+    const sqlFiles = [
+      '201603011200-AddTag.up.sql',
+      '201603011200-AddTag.down.sql',
+      '201603011200-AddTag.postgres.up.sql'
+    ];
+
+    beforeEach(() => {
+      overrideFs._files = filesSorted.concat(sqlFiles);
+      overrideFs._contents[sqlFiles[0]] =
+        '-- tags of people;\n' +
+        'CREATE TABLE tags (id INTEGER, name TEXT DEFAULT \'a;b\');\n' +
+        'CREATE INDEX tags_name ON tags (name);\n';
+      overrideFs._contents[sqlFiles[1]] = 'DROP TABLE tags;';
+      overrideFs._contents[sqlFiles[2]] = 'SELECT broken;';
+    });
+
+    it('should list sql migrations along scripts', () =>
+      task.spawn(function* () {
+        expect(yield migration.versions()).to.be.deep.equal(
+          filesSorted.map(x => x.replace(/\.js$/g, ''))
+            .concat(['201603011200-AddTag']));
+      }));
+
+    it('should apply and revert sql migrations of dialect', () =>
+      task.spawn(function* () {
+        yield migration.up();
+        expect(yield sequelize.getQueryInterface().showAllTables())
+          .to.include('tags');
+        expect(yield migration.current()).to.be.equal('201603011200-AddTag');
+        yield migration.down(1);
+        expect(yield sequelize.getQueryInterface().showAllTables())
+          .to.not.include('tags');
+        expect(yield migration.current()).to.be.equal(
+          filesSorted[3].replace(/\.js$/g, ''));
+      }));
+
+    it('should refuse sql migrations without up script', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted.concat([sqlFiles[1], sqlFiles[2]]);
+        yield migration.up(filesSorted[3].replace(/\.js$/g, ''));
+
+        try {
+          yield migration.up();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal('migration 201603011200-AddTag ' +
+            'of myApplication has no up script for sqlite');
+        }
+      }));
+
+    it('should refuse mixing scripts and sql files of a version', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted.concat(['201603011200-AddTag.js']);
+
+        try {
+          yield migration.versions();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.match(/providing the same version/);
+        }
+      }));
+  });
+
+  describe('irreversible migrations', () => {
+    let newStorage = null;
+
+    beforeEach(() => {
+      overrideFs._files = filesSorted;
+      newStorage = clone(overrideFs._storage);
+      newStorage[path.join(__dirname, filesSorted[1].replace(/\.js$/g, ''))] =
+        Object.assign({}, overrideFs._storage[
+          path.join(__dirname, filesSorted[1].replace(/\.js$/g, ''))], {
+            irreversible: true,
+            down: () => {
+              overrideFs._upped[filesSorted[1]] = false;
+              return Promise.resolve();
+            }
+          });
+      delete newStorage[
+        path.join(__dirname, filesSorted[2].replace(/\.js$/g, ''))].down;
+      MicroMigration._overrideRequire(x => newStorage[x]);
+    });
+
+    it('should annotate steps of irreversible migrations', () =>
+      task.spawn(function* () {
+        expect(yield migration.listUp()).to.be.deep.equal([
+          [filesSorted[0].replace(/\.js$/g, ''), 'up'],
+          [filesSorted[1].replace(/\.js$/g, ''), 'up', 'irreversible'],
+          [filesSorted[2].replace(/\.js$/g, ''), 'up', 'irreversible'],
+          [filesSorted[3].replace(/\.js$/g, ''), 'up']
         ]);
+      }));
+
+    it('should refuse to revert irreversible migrations', () =>
+      task.spawn(function* () {
+        yield migration.up();
+
+        try {
+          yield migration.down();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal('migration plan of myApplication ' +
+            'reverts irreversible migrations ' +
+            `${filesSorted[2].replace(/\.js$/g, '')}, ` +
+            `${filesSorted[1].replace(/\.js$/g, '')}, continue with ` +
+            'allowIrreversible option if necessary');
+        }
+
+        expect(overrideFs._upped[filesSorted[3]]).to.be.true;
+        yield migration.down(1);
+        expect(overrideFs._upped[filesSorted[3]]).to.be.false;
+      }));
+
+    it('should revert irreversible migrations if allowed', () =>
+      task.spawn(function* () {
+        yield migration.up();
+        yield migration.down(null, {allowIrreversible: true});
+        expect(overrideFs._upped[filesSorted[0]]).to.be.false;
+        expect(overrideFs._upped[filesSorted[1]]).to.be.false;
+        expect(overrideFs._upped[filesSorted[2]]).to.be.true;
+        expect(yield migration.current()).to.be.equal('0');
+      }));
+
+    it('should refuse forced up reverting irreversible migrations', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted.filter((x, i) => i !== 1);
         yield migration.up(1);
-        expect(yield migration.currentVersions()).to.be.deep.equal([
-          filesSorted[0].replace(/\.js$/g, ''),
-          filesSorted[1].replace(/\.js$/g, ''),
-          filesSorted[2].replace(/\.js$/g, ''),
-          filesSorted[3].replace(/\.js$/g, '')
-        ]);
-      })));
+        overrideFs._upped[filesSorted[1]] = true;
+        yield migration.up();
+        migration._clearCache();
+        overrideFs._files = filesSorted;
 
-  describe('#versions()', () =>
-    it('should correctly list loaded versions from cache folder', () =>
+        try {
+          yield migration.up(null, true);
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.match(/reverts irreversible migrations/);
+        }
+      }));
+  });
+
+  describe('#dryRun()', () => {
+    it('should capture statements of up without applying them', () =>
       task.spawn(function* () {
         overrideFs._files = filesSorted;
-        expect(yield migration.versions()).to.be.deep.equal([
-          filesSorted[0].replace(/\.js$/g, ''),
-          filesSorted[1].replace(/\.js$/g, ''),
-          filesSorted[2].replace(/\.js$/g, ''),
-          filesSorted[3].replace(/\.js$/g, '')
+        const result = yield migration.up(null, false, {dryRun: true});
+        expect(result.map(x => [x.version, x.direction])).to.be.deep.equal(
+          filesSorted.map(x => [x.replace(/\.js$/g, ''), 'up']));
+        expect(result[0].sql.some(x => /CREATE TABLE/.test(x))).to.be.true;
+        expect(result[0].sql.some(x => /^Executing/.test(x))).to.be.false;
+        expect(yield sequelize.getQueryInterface().showAllTables())
+          .to.not.include('people');
+        expect(yield migration.current()).to.be.equal('0');
+        expect(yield migration.currentVersions()).to.be.deep.equal([]);
+      }));
+
+    it('should capture statements of down without applying them', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        yield migration.up(1);
+        const result = yield migration.down(null, {dryRun: true});
+        expect(result.map(x => [x.version, x.direction])).to.be.deep.equal([
+          [filesSorted[0].replace(/\.js$/g, ''), 'down']
         ]);
-      })));
+        expect(result[0].sql.some(x => /DROP TABLE/.test(x))).to.be.true;
+        expect(yield sequelize.getQueryInterface().showAllTables())
+          .to.include('people');
+        expect(yield migration.current()).to.be.equal(
+          filesSorted[0].replace(/\.js$/g, ''));
+      }));
 
-  describe('#sort()', () =>
-    it('should sort versions correctly', () =>
+    it('should run queries of scripts in dry run transaction', () =>
       task.spawn(function* () {
-        expect(migration.sort(filesPermuted)).to.be.deep.equal(filesSorted);
-      })));
+        const queryInterface = sequelize.getQueryInterface();
+        const createTable = queryInterface.createTable;
+        const logging = sequelize.options.logging;
+        const calls = [];
+        overrideFs._files = [filesSorted[0]];
+        queryInterface.createTable = function(table, attributes, options) {
+          calls.push(options.transaction);
+          return createTable.apply(this, arguments);
+        };
+
+        let newStorage = clone(overrideFs._storage);
+        newStorage[path.join(__dirname, filesSorted[0].replace(/\.js$/g, ''))] = {
+          up: (queryInterface, sequelize, context) => task.spawn(function* () {
+            yield queryInterface.createTable('tags', {
+              id: Sequelize.INTEGER
+            });
+            yield sequelize.query('SELECT 1');
+            calls.push(context.transaction);
+          })
+        };
+        MicroMigration._overrideRequire(x => newStorage[x]);
+
+        const result = yield migration.up(null, false, {dryRun: true});
+        expect(calls.length).to.be.equal(2);
+        expect(calls[0]).to.be.equal(calls[1]);
+        expect(result[0].sql.some(x => /CREATE TABLE/.test(x))).to.be.true;
+        expect(result[0].sql.some(x => /SELECT 1/.test(x))).to.be.true;
+        expect(sequelize.options.logging).to.be.equal(logging);
+        expect(yield queryInterface.showAllTables()).to.not.include('tags');
+      }));
+
+    it('should pass schema names as schema option in dry run', () =>
+      task.spawn(function* () {
+        const queryInterface = sequelize.getQueryInterface();
+        let received = null;
+        overrideFs._files = [filesSorted[0]];
+        queryInterface.describeTable = (table, options) => {
+          received = options;
+          return Promise.resolve({});
+        };
+
+        let newStorage = clone(overrideFs._storage);
+        newStorage[path.join(__dirname, filesSorted[0].replace(/\.js$/g, ''))] = {
+          up: (queryInterface, sequelize, context) =>
+            queryInterface.describeTable('people', 'users').then(() =>
+              expect(received.transaction).to.be.equal(context.transaction))
+        };
+        MicroMigration._overrideRequire(x => newStorage[x]);
+
+        yield migration.up(null, false, {dryRun: true});
+        expect(Object.keys(received).sort()).to.be.deep.equal([
+          'logging', 'schema', 'transaction'
+        ]);
+        expect(received.schema).to.be.equal('users');
+      }));
+  });
+
+  describe('events', () => {
+    const record = events => ['plan', 'step:start', 'step:end', 'step:error',
+      'done'].forEach(x => migration.on(x, e => events.push([x, e])));
+
+    it('should report progress of migration', () =>
+      task.spawn(function* () {
+        const events = [];
+        const version = filesSorted[0].replace(/\.js$/g, '');
+        overrideFs._files = filesSorted;
+        record(events);
+
+        yield migration.up(1);
+        expect(events.map(x => x[0])).to.be.deep.equal(
+          ['plan', 'step:start', 'step:end', 'done']);
+        expect(events[0][1]).to.be.deep.equal({
+          application: 'myApplication',
+          direction: 'up',
+          steps: [[version, 'up']]
+        });
+        expect(events[1][1]).to.be.deep.equal({
+          application: 'myApplication',
+          version: version,
+          direction: 'up'
+        });
+        expect(events[2][1].version).to.be.equal(version);
+        expect(events[2][1].duration).to.be.a('number');
+        expect(events[3][1].direction).to.be.equal('up');
+        expect(events[3][1].count).to.be.equal(1);
+      }));
+
+    it('should report failing steps', () =>
+      task.spawn(function* () {
+        const events = [];
+        overrideFs._files = filesSorted;
+        let newStorage = clone(overrideFs._storage);
+        newStorage[path.join(__dirname, filesSorted[0].replace(/\.js$/g, ''))] = {
+          up: () => Promise.reject(new Error('hey! abort!'))
+        };
+        MicroMigration._overrideRequire(x => newStorage[x]);
+        record(events);
+
+        try {
+          yield migration.up();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal('hey! abort!');
+        }
+
+        expect(events.map(x => x[0])).to.be.deep.equal(
+          ['plan', 'step:start', 'step:error']);
+        expect(events[2][1].error.message).to.be.equal('hey! abort!');
+      }));
+
+    it('should report progress to logger', () =>
+      task.spawn(function* () {
+        const lines = [];
+        const logger = {
+          info: x => lines.push(['info', x]),
+          error: x => lines.push(['error', x])
+        };
+        overrideFs._files = filesSorted;
+        migration = new MicroMigration(sequelize, 'myApplication', __dirname, {
+          logger: logger
+        });
+
+        yield migration.up(1);
+        expect(lines.length).to.be.equal(4);
+        expect(lines[1]).to.be.deep.equal(['info',
+          `myApplication: migrating up ${filesSorted[0].replace(/\.js$/g, '')}`]);
+      }));
+  });
+
+  describe('#history()', () => {
+    it('should record executed steps, newest first', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        migration = new MicroMigration(sequelize, 'myApplication', __dirname, {
+          operator: 'deployer'
+        });
+        yield migration.up(1);
+        yield migration.down(1);
+
+        const history = yield migration.history();
+        expect(history.map(x => [x.version, x.direction, x.outcome]))
+          .to.be.deep.equal([
+            [filesSorted[0].replace(/\.js$/g, ''), 'down', 'success'],
+            [filesSorted[0].replace(/\.js$/g, ''), 'up', 'success']
+          ]);
+        expect(history[0].operator).to.be.equal('deployer');
+        expect(history[0].pid).to.be.equal(process.pid);
+        expect(history[0].host).to.be.a('string');
+        expect(history[0].error).to.be.null;
+        expect(history[0].duration).to.be.equal(
+          history[0].finishedAt - history[0].startedAt);
+      }));
+
+    it('should record failed steps', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        let newStorage = clone(overrideFs._storage);
+        newStorage[path.join(__dirname, filesSorted[0].replace(/\.js$/g, ''))] = {
+          up: () => Promise.reject(new Error('hey! abort!'))
+        };
+        MicroMigration._overrideRequire(x => newStorage[x]);
+
+        try {
+          yield migration.up();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal('hey! abort!');
+        }
+
+        const history = yield migration.history();
+        expect(history.length).to.be.equal(1);
+        expect(history[0].outcome).to.be.equal('failure');
+        expect(history[0].error).to.be.equal('hey! abort!');
+        expect(history[0].operator).to.be.null;
+      }));
+
+    it('should apply limit and since', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        yield migration.up();
+        expect((yield migration.history({limit: 2}))
+          .map(x => x.version)).to.be.deep.equal([
+            filesSorted[3].replace(/\.js$/g, ''),
+            filesSorted[2].replace(/\.js$/g, '')
+          ]);
+        expect(yield migration.history({
+          since: new Date(Date.now() + 60000)
+        })).to.be.deep.equal([]);
+      }));
+
+    it('should keep history of applications apart', () =>
+      task.spawn(function* () {
+        const other = new MicroMigration(sequelize, 'otherApplication', [{
+          version: '201601011200-Noop',
+          up: () => Promise.resolve()
+        }]);
+        yield other.up();
+
+        expect((yield other.history()).map(x => x.version))
+          .to.be.deep.equal(['201601011200-Noop']);
+        expect(yield migration.history()).to.be.deep.equal([]);
+      }));
+  });
+
+  describe('#markApplied()', () => {
+    it('should mark versions without running scripts', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        expect(yield migration.markApplied(filesSorted[1].replace(/\.js$/g, '')))
+          .to.be.deep.equal(filesSorted.slice(0, 2).map(
+            x => x.replace(/\.js$/g, '')));
+        expect(overrideFs._upped).to.be.deep.equal({});
+        expect(yield migration.current()).to.be.equal(
+          filesSorted[1].replace(/\.js$/g, ''));
+        expect(yield migration.listUp()).to.be.deep.equal(
+          filesSorted.slice(2).map(x => [x.replace(/\.js$/g, ''), 'up']));
+        expect((yield migration.validate()).valid).to.be.true;
+      }));
+
+    it('should mark missing older versions only', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted.filter((x, i) => i !== 1);
+        yield migration.up(1);
+        overrideFs._upped[filesSorted[1]] = true;
+        yield migration.up();
+        overrideFs._files = filesSorted;
+        migration._clearCache();
+        overrideFs._upped = {};
+
+        expect(yield migration.markApplied()).to.be.deep.equal([
+          filesSorted[1].replace(/\.js$/g, '')
+        ]);
+        expect(overrideFs._upped).to.be.deep.equal({});
+        expect(yield migration.listUp()).to.be.deep.equal([]);
+        expect(yield migration.current()).to.be.equal(
+          filesSorted[3].replace(/\.js$/g, ''));
+      }));
+
+    it('should refuse unknown versions', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+
+        try {
+          yield migration.markApplied('201701011200-Unknown');
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal(
+            'migration 201701011200-Unknown of myApplication does not exist');
+        }
+      }));
+  });
+
+  describe('#markUnapplied()', () => {
+    it('should unmark versions without running scripts', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        yield migration.up();
+        overrideFs._upped = {};
+        yield migration.markUnapplied(filesSorted[3].replace(/\.js$/g, ''));
+        expect(overrideFs._upped).to.be.deep.equal({});
+        expect(yield migration.current()).to.be.equal(
+          filesSorted[2].replace(/\.js$/g, ''));
+        expect(yield migration.listUp()).to.be.deep.equal([
+          [filesSorted[3].replace(/\.js$/g, ''), 'up']
+        ]);
+      }));
+
+    it('should refuse versions not applied', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+
+        try {
+          yield migration.markUnapplied(filesSorted[0].replace(/\.js$/g, ''));
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.match(/is not applied$/);
+        }
+      }));
+  });
+
+  describe('#baseline()', () => {
+    it('should declare versions up to baseline as present', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        yield migration.baseline(filesSorted[2].replace(/\.js$/g, ''));
+        expect(overrideFs._upped).to.be.deep.equal({});
+        expect(yield migration.currentVersions()).to.be.deep.equal(
+          filesSorted.slice(0, 3).map(x => x.replace(/\.js$/g, '')));
+      }));
+
+    it('should refuse databases with applied migrations', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        yield migration.up(1);
+
+        try {
+          yield migration.baseline(filesSorted[2].replace(/\.js$/g, ''));
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal('can not baseline myApplication ' +
+            'since it has applied migrations');
+        }
+      }));
+  });
+
+  describe('#validate()', () => {
+    it('should accept unmodified migrations', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        yield migration.up();
+        expect(yield migration.validate()).to.be.deep.equal({
+          valid: true,
+          modified: [],
+          missing: [],
+          unknown: []
+        });
+      }));
+
+    it('should report modified migrations', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        yield migration.up();
+        overrideFs._contents[filesSorted[1]] = 'edited';
+        expect(yield migration.validate()).to.be.deep.equal({
+          valid: false,
+          modified: [filesSorted[1].replace(/\.js$/g, '')],
+          missing: [],
+          unknown: []
+        });
+      }));
+
+    it('should report migrations missing on disk', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        yield migration.up();
+        overrideFs._files = filesSorted.filter((x, i) => i !== 3);
+        migration._clearCache();
+        expect(yield migration.validate()).to.be.deep.equal({
+          valid: false,
+          modified: [],
+          missing: [filesSorted[3].replace(/\.js$/g, '')],
+          unknown: []
+        });
+      }));
+
+    it('should report migrations unknown to database', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted.filter((x, i) => i !== 1);
+        yield migration.up(1);
+        overrideFs._upped[filesSorted[1]] = true;
+        yield migration.up(1);
+        overrideFs._files = filesSorted;
+        migration._clearCache();
+        expect(yield migration.validate()).to.be.deep.equal({
+          valid: false,
+          modified: [],
+          missing: [],
+          unknown: [filesSorted[1].replace(/\.js$/g, '')]
+        });
+      }));
+
+    it('should make up() refuse invalid migrations if enabled', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        migration = new MicroMigration(sequelize, 'myApplication', __dirname, {
+          validate: true
+        });
+        yield migration.up(1);
+        overrideFs._contents[filesSorted[0]] = 'edited';
+
+        try {
+          yield migration.up();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal('migration validation failed: ' +
+            `modified ${filesSorted[0].replace(/\.js$/g, '')}`);
+        }
+
+        expect(overrideFs._upped[filesSorted[1]]).to.not.be.true;
+      }));
+  });
+
+  describe('#status()', () => {
+    it('should report pending versions of a fresh database', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        const report = yield migration.status();
+        expect(report.application).to.be.equal('myApplication');
+        expect(report.current).to.be.equal('0');
+        expect(report.dirty).to.be.null;
+        expect(report.requiresMigration).to.be.true;
+        expect(report.summary).to.be.deep.equal({
+          'applied': 0,
+          'pending': 4,
+          'out-of-order': 0,
+          'missing': 0
+        });
+        expect(report.versions).to.be.deep.equal(filesSorted.map(x => ({
+          version: x.replace(/\.js$/g, ''),
+          state: 'pending',
+          appliedAt: null
+        })));
+      }));
+
+    it('should report out of order and missing versions', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted.filter((x, i) => i !== 1);
+        yield migration.up(1);
+        overrideFs._upped[filesSorted[1]] = true;
+        yield migration.up();
+        overrideFs._files = filesSorted.slice(0, 3);
+        migration._clearCache();
+
+        const report = yield migration.status();
+        expect(report.versions.map(x => [x.version, x.state]))
+          .to.be.deep.equal([
+            [filesSorted[0].replace(/\.js$/g, ''), 'applied'],
+            [filesSorted[1].replace(/\.js$/g, ''), 'out-of-order'],
+            [filesSorted[2].replace(/\.js$/g, ''), 'applied'],
+            [filesSorted[3].replace(/\.js$/g, ''), 'missing']
+          ]);
+        expect(report.versions[0].appliedAt).to.be.a('number');
+        expect(report.versions[1].appliedAt).to.be.null;
+        expect(report.current).to.be.equal(
+          filesSorted[3].replace(/\.js$/g, ''));
+        expect(report.requiresMigration).to.be.true;
+      }));
+  });
+
+  describe('#outOfOrder()', () => {
+    const late = filesSorted[1].replace(/\.js$/g, '');
+    const last = filesSorted[3].replace(/\.js$/g, '');
+    let log = null;
+
+    beforeEach(() => task.spawn(function* () {
+      overrideFs._files = filesSorted.filter((x, i) => i !== 1);
+      yield migration.up(1);
+      overrideFs._upped[filesSorted[1]] = true;
+      yield migration.up();
+      migration._clearCache();
+      overrideFs._files = filesSorted;
+
+      log = [];
+      let newStorage = clone(overrideFs._storage);
+      newStorage[path.join(__dirname, late)] = {
+        up: () => {
+          log.push('up');
+          return Promise.resolve();
+        },
+        down: () => {
+          log.push('down');
+          return Promise.resolve();
+        }
+      };
+      MicroMigration._overrideRequire(x => newStorage[x]);
+    }));
+
+    it('should list pending migrations older than latest applied one', () =>
+      task.spawn(function* () {
+        expect(yield migration.outOfOrder()).to.be.deep.equal([late]);
+      }));
+
+    it('should apply out-of-order migrations in place when allowed', () =>
+      task.spawn(function* () {
+        expect(yield migration.listUp(null, {outOfOrder: 'allow'}))
+          .to.be.deep.equal([[late, 'up']]);
+        yield migration.up(null, false, {outOfOrder: 'allow'});
+        expect(log).to.be.deep.equal(['up']);
+        expect(yield migration.current()).to.be.equal(last);
+        expect(yield migration.currentVersions()).to.be.deep.equal(
+          filesSorted.map(x => x.replace(/\.js$/g, '')));
+        expect(yield migration.outOfOrder()).to.be.deep.equal([]);
+      }));
+
+    it('should rebase newer migrations under rebase policy', () =>
+      task.spawn(function* () {
+        migration = new MicroMigration(sequelize, 'myApplication', __dirname, {
+          outOfOrder: 'rebase'
+        });
+        yield migration.up();
+        expect(log).to.be.deep.equal(['up']);
+        expect(overrideFs._upped[filesSorted[3]]).to.be.true;
+        expect(yield migration.current()).to.be.equal(last);
+        expect(yield migration.listUp()).to.be.deep.equal([]);
+      }));
+
+    it('should refuse unknown policies', () => {
+      expect(() => new MicroMigration(sequelize, 'myApplication', __dirname, {
+        outOfOrder: 'what'
+      })).to.throw(Error);
+
+      return migration.up(null, false, {outOfOrder: 'what'}).then(() => {
+        throw new Error('not thrown');
+      }, err => expect(err.message).to.match(/^unknown out-of-order policy/));
+    });
+  });
+
+  describe('#resolveTarget()', () => {
+    it('should resolve symbolic targets', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        expect(yield migration.resolveTarget('latest')).to.be.equal(
+          filesSorted[3].replace(/\.js$/g, ''));
+        expect(yield migration.resolveTarget('zero')).to.be.equal('0');
+        expect(yield migration.resolveTarget(2)).to.be.equal(2);
+      }));
+
+    it('should resolve latest version at or before a date', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted.filter((x, i) => i !== 2);
+        expect(yield migration.resolveTarget({
+          before: new Date(Date.UTC(2016, 0, 10, 12))
+        })).to.be.equal(filesSorted[1].replace(/\.js$/g, ''));
+        expect(yield migration.resolveTarget({
+          before: new Date(Date.UTC(2015, 0, 1))
+        })).to.be.equal('0');
+      }));
+
+    it('should refuse dates on versions lacking timestamps', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+
+        try {
+          yield migration.resolveTarget({before: new Date()});
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal('versions of myApplication lack ' +
+            `timestamp prefixes: ${filesSorted[2].replace(/\.js$/g, '')}`);
+        }
+      }));
+
+    it('should refuse unknown tags', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+
+        try {
+          yield migration.resolveTarget({tag: 'v2.3'});
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal(
+            'tag v2.3 of myApplication does not exist');
+        }
+      }));
+  });
+
+  describe('#tag()', () => {
+    it('should return to tagged version', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        yield migration.up(1);
+        yield migration.up(1);
+        expect(yield migration.tag('v2.3')).to.be.equal(
+          filesSorted[1].replace(/\.js$/g, ''));
+        yield migration.up('latest');
+        expect(yield migration.tags()).to.be.deep.equal({
+          'v2.3': filesSorted[1].replace(/\.js$/g, '')
+        });
+
+        yield migration.down({tag: 'v2.3'});
+        expect(yield migration.current()).to.be.equal(
+          filesSorted[1].replace(/\.js$/g, ''));
+        yield migration.down('zero');
+        expect(yield migration.currentVersions()).to.be.deep.equal([]);
+        expect(yield migration.listUp('zero')).to.be.deep.equal([]);
+      }));
+
+    it('should refuse unknown versions', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+
+        try {
+          yield migration.tag('v2.3', '201701011200-Unknown');
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal(
+            'migration 201701011200-Unknown of myApplication does not exist');
+        }
+      }));
+  });
+
+  describe('baselines', () => {
+    const baseline = '201601101200.1-Squash';
+    const versions = filesSorted.map(x => x.replace(/\.js$/g, ''));
+    let log = null;
+    let newStorage = null;
+
+    beforeEach(() => {
+      log = [];
+      newStorage = clone(overrideFs._storage);
+      newStorage[path.join(__dirname, baseline)] = {
+        replaces: versions.slice(0, 2),
+        up: (queryInterface, sequelize) => task.spawn(function* () {
+          log.push('up');
+          yield queryInterface.createTable('people', {
+            id: {
+              type: sequelize.Sequelize.INTEGER,
+              primaryKey: true,
+              autoIncrement: true
+            },
+            name: {
+              type: Sequelize.TEXT
+            }
+          });
+          overrideFs._upped[filesSorted[0]] = true;
+          overrideFs._upped[filesSorted[1]] = true;
+        }),
+        down: queryInterface => task.spawn(function* () {
+          log.push('down');
+          yield queryInterface.dropTable('people');
+          overrideFs._upped[filesSorted[0]] = false;
+          overrideFs._upped[filesSorted[1]] = false;
+        })
+      };
+      MicroMigration._overrideRequire(x => newStorage[x]);
+      overrideFs._files = filesSorted.concat([`${baseline}.js`]);
+    });
+
+    it('should run baseline in place of squashed versions', () =>
+      task.spawn(function* () {
+        expect(yield migration.listUp()).to.be.deep.equal([
+          [baseline, 'up'],
+          [versions[2], 'up'],
+          [versions[3], 'up']
+        ]);
+        yield migration.up();
+        expect(log).to.be.deep.equal(['up']);
+        expect(yield migration.currentVersions()).to.be.deep.equal(
+          versions.slice(0, 2).concat([baseline], versions.slice(2)));
+        expect(yield migration.current()).to.be.equal(versions[3]);
+        expect(yield migration.listUp()).to.be.deep.equal([]);
+        expect((yield migration.validate()).valid).to.be.true;
+      }));
+
+    it('should skip baseline on databases having applied versions', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        yield migration.up(1);
+        overrideFs._files = filesSorted.concat([`${baseline}.js`]);
+        migration._clearCache();
+
+        expect(yield migration.listUp()).to.be.deep.equal(
+          versions.slice(1).map(x => [x, 'up']));
+        expect((yield migration.status()).versions.map(x => x.version))
+          .to.be.deep.equal(versions);
+        yield migration.up();
+        expect(log).to.be.deep.equal([]);
+        expect(yield migration.currentVersions()).to.be.deep.equal(versions);
+        expect((yield migration.validate()).valid).to.be.true;
+      }));
+
+    it('should not report squashed versions as missing', () =>
+      task.spawn(function* () {
+        yield migration.up();
+        overrideFs._files = filesSorted.slice(2).concat([`${baseline}.js`]);
+        migration._clearCache();
+
+        const report = yield migration.status();
+        expect(report.versions.map(x => [x.version, x.state]))
+          .to.be.deep.equal(versions.slice(0, 2)
+            .concat([baseline], versions.slice(2))
+            .map(x => [x, 'applied']));
+        expect(report.summary.missing).to.be.equal(0);
+      }));
+
+    it('should mark versions squashed by a marked baseline', () =>
+      task.spawn(function* () {
+        const all = versions.slice(0, 2).concat([baseline], versions.slice(2));
+
+        expect(yield migration.markApplied()).to.be.deep.equal(all);
+        expect(log).to.be.deep.equal([]);
+        expect(yield migration.currentVersions()).to.be.deep.equal(all);
+        expect(yield migration.current()).to.be.equal(versions[3]);
+        expect(yield migration.listUp()).to.be.deep.equal([]);
+        expect((yield migration.status()).versions.map(x => x.state))
+          .to.be.deep.equal(all.map(() => 'applied'));
+        yield migration.up();
+      }));
+
+    it('should not use baselines beyond target', () =>
+      task.spawn(function* () {
+        expect(yield migration.listUp(versions[0])).to.be.deep.equal([
+          [versions[0], 'up']
+        ]);
+      }));
+
+    it('should revert squashed versions along with baseline', () =>
+      task.spawn(function* () {
+        yield migration.up();
+        expect(yield migration.listDown()).to.be.deep.equal([
+          [versions[3], 'down'],
+          [versions[2], 'down'],
+          [baseline, 'down']
+        ]);
+        expect(yield migration.listDown(versions[0])).to.be.deep.equal([
+          [versions[3], 'down'],
+          [versions[2], 'down'],
+          [baseline, 'down'],
+          [versions[0], 'up']
+        ]);
+
+        yield migration.down();
+        expect(log).to.be.deep.equal(['up', 'down']);
+        expect(yield migration.currentVersions()).to.be.deep.equal([]);
+        expect(yield migration.current()).to.be.equal('0');
+      }));
+
+    it('should refuse baselines replacing later versions', () =>
+      task.spawn(function* () {
+        newStorage[path.join(__dirname, baseline)].replaces = versions;
+
+        try {
+          yield migration.listUp();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal(`baseline ${baseline} of ` +
+            `myApplication replaces later versions ${versions[2]}, ` +
+            `${versions[3]}`);
+        }
+      }));
+  });
+
+  describe('repeatable migrations', () => {
+    const versions = filesSorted.map(x => x.replace(/\.js$/g, ''));
+    let log = null;
+    let newStorage = null;
+
+    beforeEach(() => {
+      log = [];
+      newStorage = clone(overrideFs._storage);
+      newStorage[path.join(__dirname, 'R-PeopleView')] = {
+        up: (queryInterface, sequelize, context) => task.spawn(function* () {
+          expect(overrideFs._upped[filesSorted[3]]).to.be.true;
+          log.push(context.version);
+          yield sequelize.query('DROP VIEW IF EXISTS people_view',
+            {transaction: context.transaction});
+          yield sequelize.query('CREATE VIEW people_view AS ' +
+            'SELECT id, name FROM people', {transaction: context.transaction});
+        })
+      };
+      MicroMigration._overrideRequire(x => newStorage[x]);
+      overrideFs._files = filesSorted.concat(['R-PeopleView.js']);
+    });
+
+    it('should keep repeatable migrations apart from versions', () =>
+      task.spawn(function* () {
+        expect(yield migration.versions()).to.be.deep.equal(versions);
+        expect(yield migration.repeatables()).to.be.deep.equal([
+          'R-PeopleView'
+        ]);
+      }));
+
+    it('should apply repeatable migrations after versioned ones', () =>
+      task.spawn(function* () {
+        expect(yield migration.listUp()).to.be.deep.equal(
+          versions.map(x => [x, 'up'])
+            .concat([['R-PeopleView', 'up', 'repeatable']]));
+        yield migration.up();
+        expect(log).to.be.deep.equal(['R-PeopleView']);
+        expect(yield migration.current()).to.be.equal(versions[3]);
+        expect(yield migration.currentVersions()).to.be.deep.equal(versions);
+        expect(yield migration.listUp()).to.be.deep.equal([]);
+      }));
+
+    it('should apply repeatable migrations again once changed', () =>
+      task.spawn(function* () {
+        yield migration.up();
+        overrideFs._contents['R-PeopleView.js'] = 'changed';
+        expect(yield migration.listUp()).to.be.deep.equal([
+          ['R-PeopleView', 'up', 'repeatable']
+        ]);
+        yield migration.up();
+        expect(log).to.be.deep.equal(['R-PeopleView', 'R-PeopleView']);
+      }));
+
+    it('should not plan repeatable migrations before latest version', () =>
+      task.spawn(function* () {
+        expect(yield migration.listUp(versions[2])).to.be.deep.equal(
+          versions.slice(0, 3).map(x => [x, 'up']));
+        expect(yield migration.listUp(2, {outOfOrder: 'allow'}))
+          .to.be.deep.equal(versions.slice(0, 2).map(x => [x, 'up']));
+      }));
+
+    it('should leave repeatable migrations out of down plans', () =>
+      task.spawn(function* () {
+        yield migration.up();
+        overrideFs._contents['R-PeopleView.js'] = 'changed';
+        expect(yield migration.listDown(versions[2])).to.be.deep.equal([
+          [versions[3], 'down']
+        ]);
+      }));
+
+    it('should leave repeatable migrations out of marked versions', () =>
+      task.spawn(function* () {
+        expect(yield migration.markApplied()).to.be.deep.equal(versions);
+        expect(yield migration.currentVersions()).to.be.deep.equal(versions);
+        expect(yield migration.current()).to.be.equal(versions[3]);
+        expect((yield migration.validate()).valid).to.be.true;
+        expect(yield migration.listUp()).to.be.deep.equal([
+          ['R-PeopleView', 'up', 'repeatable']
+        ]);
+      }));
+
+    it('should run repeatable sql files', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted.concat(['R-PeopleView.sql']);
+        overrideFs._contents['R-PeopleView.sql'] =
+          'DROP VIEW IF EXISTS people_view;\n' +
+          'CREATE VIEW people_view AS SELECT id FROM people;\n';
+        yield migration.up();
+        expect(yield sequelize.query('SELECT * FROM people_view',
+          {type: sequelize.QueryTypes.SELECT})).to.be.deep.equal([]);
+      }));
+
+    it('should refuse scripts and sql files of a repeatable migration', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted.concat([
+          'R-PeopleView.js',
+          'R-PeopleView.sql'
+        ]);
+
+        try {
+          yield migration.versions();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.match(/providing the same version/);
+        }
+      }));
+  });
+
+  describe('migration sources', () => {
+    const versions = filesSorted.map(x => x.replace(/\.js$/g, ''));
+    const plugins = path.join(__dirname, 'plugins');
+    let inMemory = null;
+
+    beforeEach(() => {
+      const newStorage = clone(overrideFs._storage);
+      newStorage[path.join(plugins, 'a', versions[2])] =
+        overrideFs._storage[path.join(__dirname, versions[2])];
+      MicroMigration._overrideRequire(x => newStorage[x]);
+
+      inMemory = Object.assign({
+        version: versions[3]
+      }, overrideFs._storage[path.join(__dirname, versions[3])]);
+      overrideFs._files = filesSorted.slice(0, 2);
+      overrideFs._dirs[plugins] = ['a', '.b'];
+      overrideFs._dirs[path.join(plugins, 'a')] = [filesSorted[2], 'notes.txt'];
+      overrideFs._dirs[path.join(plugins, '.b')] = [filesSorted[3]];
+    });
+
+    it('should merge folders, glob patterns and in-memory migrations', () =>
+      task.spawn(function* () {
+        migration = new MicroMigration(sequelize, 'myApplication', [
+          __dirname,
+          path.join(plugins, '*', '*.js'),
+          inMemory
+        ]);
+
+        expect(yield migration.versions()).to.be.deep.equal(versions);
+        expect(migration.script(versions[3])).to.be.equal(inMemory);
+        yield migration.up();
+        expect(yield migration.currentVersions()).to.be.deep.equal(versions);
+        expect((yield migration.validate()).valid).to.be.true;
+      }));
+
+    it('should refuse sources providing the same version', () =>
+      task.spawn(function* () {
+        migration = new MicroMigration(sequelize, 'myApplication', [
+          __dirname,
+          Object.assign({}, inMemory, {version: versions[0]})
+        ]);
+
+        try {
+          yield migration.versions();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal('migration sources of ' +
+            `myApplication provide the same version: ${versions[0]} by ` +
+            `${__dirname} and in-memory migration`);
+        }
+      }));
+
+    it('should refuse invalid sources', () =>
+      expect(() => new MicroMigration(sequelize, 'myApplication', [
+        __dirname,
+        {up: inMemory.up}
+      ])).to.throw(Error, /must be folders, glob patterns or objects/));
+  });
+
+  describe('schema scoping', () => {
+    let calls = null;
+
+    beforeEach(() => {
+      const queryInterface = sequelize.getQueryInterface();
+      calls = [];
+      queryInterface.dropTable = table => {
+        calls.push(['dropTable', table]);
+        return Promise.resolve();
+      };
+      queryInterface.renameTable = (before, after) => {
+        calls.push(['renameTable', before, after]);
+        return Promise.resolve();
+      };
+    });
+
+    it('should default tables of scripts to schema', () =>
+      task.spawn(function* () {
+        migration = new MicroMigration(sequelize, 'myApplication', [{
+          version: '201601011200-Rename',
+          up: (queryInterface, sequelize, context) => task.spawn(function* () {
+            expect(context.schema).to.be.equal('users');
+            yield queryInterface.dropTable('people');
+            yield queryInterface.renameTable('a', {
+              tableName: 'b',
+              schema: 'archive'
+            });
+          })
+        }], {
+          schema: 'users'
+        });
+        yield sequelize.sync();
+
+        yield migration.up();
+        expect(calls).to.be.deep.equal([
+          ['dropTable', {tableName: 'people', schema: 'users'}],
+          ['renameTable', {tableName: 'a', schema: 'users'}, {
+            tableName: 'b',
+            schema: 'archive'
+          }]
+        ]);
+      }));
+
+    it('should leave tables alone without schema', () =>
+      task.spawn(function* () {
+        migration = new MicroMigration(sequelize, 'myApplication', [{
+          version: '201601011200-Drop',
+          up: (queryInterface, sequelize, context) => {
+            expect(context.schema).to.be.null;
+            return queryInterface.dropTable('people');
+          }
+        }]);
+
+        yield migration.up();
+        expect(calls).to.be.deep.equal([['dropTable', 'people']]);
+      }));
+
+    it('should pass schema and meta table to MetaDB', () => {
+      const metaDb = require('sequelize-db-meta');
+      const MetaDB = metaDb.MetaDB;
+      const created = [];
+
+      metaDb.MetaDB = function(sequelize, options) {
+        created.push(options);
+        return new MetaDB(sequelize, options);
+      };
+
+      try {
+        migration = new MicroMigration(sequelize, 'myApplication', __dirname, {
+          schema: 'users',
+          metaTable: 'users_migrations'
+        });
+      } finally {
+        metaDb.MetaDB = MetaDB;
+      }
+
+      expect(created).to.be.deep.equal([{
+        tableName: 'users_migrations',
+        schema: 'users'
+      }]);
+    });
+
+    it('should keep bookkeeping in meta table of schema', () =>
+      task.spawn(function* () {
+        const queryInterface = sequelize.getQueryInterface();
+        const count = table => sequelize.query(
+          `SELECT COUNT(*) AS count FROM \`${table}\``, {
+            type: sequelize.QueryTypes.SELECT
+          }).then(rows => Number(rows[0].count));
+        const scoped = new MicroMigration(sequelize, 'myApplication', [{
+          version: '201601011200-Noop',
+          up: () => Promise.resolve()
+        }], {
+          schema: 'users',
+          metaTable: 'users_migrations'
+        });
+        yield sequelize.sync();
+
+        const tables = (yield queryInterface.showAllTables())
+          .map(x => (typeof x === 'string' ? x : x.tableName));
+        const others = tables.filter(x =>
+          !/SequelizeMicroMigration(Locks|History)$/.test(x) &&
+          x !== 'users.users_migrations');
+        expect(tables).to.include('users.users_migrations');
+        expect(others.length).to.be.equal(1);
+
+        yield scoped.up();
+        expect(yield scoped.currentVersions()).to.be.deep.equal([
+          '201601011200-Noop'
+        ]);
+        expect(yield count('users.users_migrations')).to.be.above(0);
+        expect(yield count(others[0])).to.be.equal(0);
+      }));
+
+    it('should set search path of migration steps on postgres', () =>
+      task.spawn(function* () {
+        const query = sequelize.query.bind(sequelize);
+        const statements = [];
+        let transaction = null;
+
+        migration = new MicroMigration(sequelize, 'myApplication', [{
+          version: '201601011200-Noop',
+          up: (queryInterface, sequelize, context) => {
+            transaction = context.transaction;
+            return Promise.resolve();
+          }
+        }], {
+          schema: 'us"ers'
+        });
+        yield sequelize.sync();
+
+        sequelize.getDialect = () => 'postgres';
+        sequelize.query = (sql, options) => {
+          if (/^(CREATE SCHEMA|SET LOCAL)/.test(sql)) {
+            statements.push([sql, options.transaction]);
+            return Promise.resolve();
+          }
+
+          return query(sql, options);
+        };
+
+        yield migration.up();
+        expect(statements).to.be.deep.equal([
+          ['CREATE SCHEMA IF NOT EXISTS "us""ers"', transaction],
+          ['SET LOCAL search_path TO "us""ers", public', transaction]
+        ]);
+      }));
+
+    it('should create schema on postgres only', () =>
+      task.spawn(function* () {
+        const statements = [];
+        sequelize.query = sql => {
+          statements.push(sql);
+          return Promise.resolve();
+        };
+
+        migration = new MicroMigration(sequelize, 'myApplication', __dirname, {
+          schema: 'users'
+        });
+        yield migration.createSchema();
+        expect(statements).to.be.deep.equal([]);
+
+        sequelize.getDialect = () => 'postgres';
+        yield migration.createSchema();
+        yield new MicroMigration(sequelize, 'myApplication', __dirname)
+          .createSchema();
+        expect(statements).to.be.deep.equal([
+          'CREATE SCHEMA IF NOT EXISTS "users"'
+        ]);
+      }));
+
+    it('should describe tables of schema only', () =>
+      task.spawn(function* () {
+        const queryInterface = sequelize.getQueryInterface();
+        migration = new MicroMigration(sequelize, 'myApplication', __dirname, {
+          schema: 'users'
+        });
+        yield sequelize.sync();
+        yield queryInterface.createTable({
+          tableName: 'people',
+          schema: 'users'
+        }, {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true
+          }
+        });
+        yield queryInterface.createTable('other', {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true
+          }
+        });
+
+        const description = yield migration.describeSchema();
+        expect(Object.keys(description.tables)).to.be.deep.equal(['people']);
+        expect(description.tables.people.columns.id.primaryKey).to.be.true;
+      }));
+  });
+
+  describe('#checkDrift()', () => {
+    beforeEach(() => {
+      overrideFs._files = filesSorted;
+      migration = new MicroMigration(sequelize, 'myApplication', __dirname, {
+        snapshot: {
+          tables: ['people']
+        }
+      });
+    });
+
+    it('should write snapshot after migrating up', () =>
+      task.spawn(function* () {
+        yield migration.up(1);
+        const snapshot = JSON.parse(overrideFs._contents['schema.json']);
+        expect(Object.keys(snapshot.tables)).to.be.deep.equal(['people']);
+        expect(snapshot.tables.people.columns.id.primaryKey).to.be.true;
+        expect(yield migration.checkDrift()).to.be.deep.equal({
+          drifted: false,
+          differences: []
+        });
+      }));
+
+    it('should leave bookkeeping tables out of snapshot', () =>
+      task.spawn(function* () {
+        migration = new MicroMigration(sequelize, 'myApplication', __dirname, {
+          snapshot: true
+        });
+        yield sequelize.sync();
+        yield migration.up(1);
+
+        expect(Object.keys((yield migration.describeSchema()).tables))
+          .to.be.deep.equal(['people']);
+      }));
+
+    it('should report changes made outside of migrations', () =>
+      task.spawn(function* () {
+        yield migration.up(1);
+        yield sequelize.getQueryInterface().addColumn('people', 'extra', {
+          type: Sequelize.TEXT
+        });
+        yield sequelize.getQueryInterface().createTable('other', {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true
+          }
+        });
+
+        expect(yield migration.checkDrift()).to.be.deep.equal({
+          drifted: true,
+          differences: ['column people.extra is unexpected']
+        });
+      }));
+  });
+
+  describe('#seed()', () => {
+    const seedDir = path.join(__dirname, 'seeders');
+    const seeds = ['201601011200-Roles', '201601011300-Fixtures',
+      '201601011400-Flags'];
+    let log = null;
+
+    beforeEach(() => {
+      log = [];
+      let newStorage = clone(overrideFs._storage);
+      const seeder = (name, extra) => {
+        newStorage[path.join(seedDir, name)] = Object.assign({
+          up: (queryInterface, sequelize, context) => {
+            expect(context.seed).to.be.true;
+            log.push([name, 'up']);
+            return Promise.resolve();
+          },
+          down: () => {
+            log.push([name, 'down']);
+            return Promise.resolve();
+          }
+        }, extra);
+      };
+
+      seeder(seeds[0]);
+      seeder(seeds[1], {environments: ['test']});
+      seeder(seeds[2], {repeatable: true});
+      MicroMigration._overrideRequire(x => newStorage[x]);
+      overrideFs._seeds = seeds.map(x => `${x}.js`).reverse();
+      migration = new MicroMigration(sequelize, 'myApplication', __dirname, {
+        seedDir: seedDir,
+        environment: 'production'
+      });
+    });
+
+    it('should run seeders of environment once', () =>
+      task.spawn(function* () {
+        expect(yield migration.seed()).to.be.deep.equal([seeds[0], seeds[2]]);
+        expect(yield migration.seed()).to.be.deep.equal([]);
+        expect(yield migration.seed({environment: 'test'}))
+          .to.be.deep.equal([seeds[1]]);
+        expect(log).to.be.deep.equal([
+          [seeds[0], 'up'],
+          [seeds[2], 'up'],
+          [seeds[1], 'up']
+        ]);
+        expect(yield migration.currentVersions()).to.be.deep.equal([]);
+      }));
+
+    it('should run repeatable seeders again when changed', () =>
+      task.spawn(function* () {
+        yield migration.seed();
+        overrideFs._contents[`${seeds[0]}.js`] = 'changed';
+        overrideFs._contents[`${seeds[2]}.js`] = 'changed';
+        expect(yield migration.seed()).to.be.deep.equal([seeds[2]]);
+      }));
+
+    it('should revert seeders in reverse order', () =>
+      task.spawn(function* () {
+        yield migration.seed();
+        log = [];
+        expect(yield migration.unseed()).to.be.deep.equal([
+          seeds[2], seeds[0]
+        ]);
+        expect(log).to.be.deep.equal([
+          [seeds[2], 'down'],
+          [seeds[0], 'down']
+        ]);
+        expect(yield migration.seed()).to.be.deep.equal([seeds[0], seeds[2]]);
+      }));
+
+    it('should refuse seeders not run', () =>
+      task.spawn(function* () {
+        try {
+          yield migration.unseed(seeds[1]);
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal(
+            `seeder ${seeds[1]} of myApplication is not run`);
+        }
+      }));
+
+    it('should fail without seeder folder', () =>
+      task.spawn(function* () {
+        migration = new MicroMigration(sequelize, 'myApplication', __dirname);
+
+        try {
+          yield migration.seed();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal(
+            'myApplication has no seeder folder');
+        }
+      }));
+  });
+
+  describe('#requiresMigration', () => {
+    it('should correctly show need for migration', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        expect(yield migration.requiresMigration()).to.be.true;
+        yield migration.up();
+        expect(yield migration.requiresMigration()).to.be.false;
+        yield migration.down();
+        expect(yield migration.requiresMigration()).to.be.true;
+      }));
+  });
+
+  describe('#currentVersions()', () =>
+    it('should correctly show current versions', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        expect(yield migration.currentVersions()).to.be.deep.equal([]);
+        yield migration.up(1);
+        expect(yield migration.currentVersions()).to.be.deep.equal([
+          filesSorted[0].replace(/\.js$/g, '')
+        ]);
+        yield migration.up(1);
+        expect(yield migration.currentVersions()).to.be.deep.equal([
+          filesSorted[0].replace(/\.js$/g, ''),
+          filesSorted[1].replace(/\.js$/g, '')
+        ]);
+        yield migration.up(1);
+        expect(yield migration.currentVersions()).to.be.deep.equal([
+          filesSorted[0].replace(/\.js$/g, ''),
+          filesSorted[1].replace(/\.js$/g, ''),
+          filesSorted[2].replace(/\.js$/g, '')
+        ]);
+        yield migration.up(1);
+        expect(yield migration.currentVersions()).to.be.deep.equal([
+          filesSorted[0].replace(/\.js$/g, ''),
+          filesSorted[1].replace(/\.js$/g, ''),
+          filesSorted[2].replace(/\.js$/g, ''),
+          filesSorted[3].replace(/\.js$/g, '')
+        ]);
+      })));
+
+  describe('#versions()', () => {
+    it('should correctly list loaded versions from cache folder', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        expect(yield migration.versions()).to.be.deep.equal([
+          filesSorted[0].replace(/\.js$/g, ''),
+          filesSorted[1].replace(/\.js$/g, ''),
+          filesSorted[2].replace(/\.js$/g, ''),
+          filesSorted[3].replace(/\.js$/g, '')
+        ]);
+      }));
+
+    it('should ignore files other than migration scripts', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted.concat([
+          'README.md',
+          'helpers',
+          `${filesSorted[0]}.map`,
+          `.${filesSorted[1]}.swp`,
+          'index.js'
+        ]);
+        expect(yield migration.versions()).to.be.deep.equal(
+          filesSorted.map(x => x.replace(/\.js$/g, '')));
+      }));
+
+    it('should apply exclude pattern', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted;
+        migration = new MicroMigration(sequelize, 'myApplication', __dirname, {
+          exclude: /RemoveAge/
+        });
+        expect(yield migration.versions()).to.be.deep.equal(
+          filesSorted.slice(0, 3).map(x => x.replace(/\.js$/g, '')));
+      }));
+
+    it('should refuse files providing the same version', () =>
+      task.spawn(function* () {
+        overrideFs._files = filesSorted.concat([
+          filesSorted[0].replace(/\.js$/g, '.json')
+        ]);
+        migration = new MicroMigration(sequelize, 'myApplication', __dirname, {
+          include: /\.json?$/
+        });
+
+        try {
+          yield migration.versions();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal(`migration folder ${__dirname} ` +
+            'of myApplication has files providing the same version: ' +
+            `${filesSorted[0]} and ` +
+            `${filesSorted[0].replace(/\.js$/g, '.json')}`);
+        }
+      }));
+  });
+
+  describe('#sort()', () => {
+    const withScheme = options =>
+      new MicroMigration(sequelize, 'myApplication', __dirname, options);
+
+    it('should sort versions correctly', () =>
+      task.spawn(function* () {
+        expect(migration.sort(filesPermuted)).to.be.deep.equal(filesSorted);
+      }));
+
+    it('should sort integer versions numerically', () =>
+      expect(withScheme({versionScheme: 'integer'})
+        .sort(['10-bar', '9-foo', '011-baz']))
+        .to.be.deep.equal(['9-foo', '10-bar', '011-baz']));
+
+    it('should sort timestamps of mixed length', () =>
+      expect(withScheme({versionScheme: 'timestamp'})
+        .sort(['20160110120001-AddAge', '201601101200-AddName']))
+        .to.be.deep.equal(['201601101200-AddName', '20160110120001-AddAge']));
+
+    it('should sort dotted numbers', () =>
+      expect(withScheme({versionScheme: 'semver'})
+        .sort(['1.10-c', '1.2.1-b', '1.2-a']))
+        .to.be.deep.equal(['1.2-a', '1.2.1-b', '1.10-c']));
+
+    it('should accept custom comparator', () =>
+      expect(withScheme({compare: (a, b) => b.localeCompare(a)})
+        .sort(['a-x', 'c-y', 'b-z']))
+        .to.be.deep.equal(['c-y', 'b-z', 'a-x']));
+
+    it('should refuse unknown schemes', () =>
+      expect(() => withScheme({versionScheme: 'roman'})).to.throw(Error));
+
+    it('should refuse versions not matching scheme', () =>
+      expect(() => withScheme({versionScheme: 'integer'}).sort(['a-b']))
+        .to.throw(Error, 'versions of myApplication do not match integer ' +
+          'scheme: a-b'));
+
+    it('should refuse duplicate versions', () =>
+      expect(() => withScheme({versionScheme: 'integer'})
+        .sort(['1-foo', '2-bar', '01-baz']))
+        .to.throw(Error, 'duplicate versions of myApplication: ' +
+          '1-foo, 01-baz'));
+  });
 });
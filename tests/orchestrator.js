@@ -0,0 +1,271 @@
+"use strict";
+
+const MicroMigration = require('../index');
+const expect = require('chai').expect;
+const Sequelize = require('sequelize');
+const task = require('xcane').task;
+const path = require('path');
+
+const usersDir = path.join(__dirname, 'users');
+const ordersDir = path.join(__dirname, 'orders');
+
+let overrideFs = {
+  _files: {},
+  _storage: {},
+  _log: [],
+  readdir: dir => Promise.resolve(overrideFs._files[dir] || []),
+  readFile: file => Promise.resolve(path.basename(file)),
+  _require: x => overrideFs._storage[x]
+};
+
+const script = (dir, version, dependsOn) => {
+  overrideFs._storage[path.join(dir, version)] = {
+    dependsOn: dependsOn,
+    up: () => {
+      overrideFs._log.push([path.basename(dir), version, 'up']);
+      return Promise.resolve();
+    },
+    down: () => {
+      overrideFs._log.push([path.basename(dir), version, 'down']);
+      return Promise.resolve();
+    }
+  };
+};
+
+describe('MigrationOrchestrator', () => {
+  let sequelize = null;
+  let orchestrator = null;
+
+  beforeEach(done => {
+    sequelize = new Sequelize({
+      dialect: 'sqlite',
+      storage: ':memory:',
+      logging: false
+    });
+
+    overrideFs._files = {
+      [usersDir]: ['201601011200-AddUser.js', '201602011200-AddEmail.js'],
+      [ordersDir]: ['201601051200-AddOrder.js', '201601061200-AddOwner.js']
+    };
+    overrideFs._storage = {};
+    overrideFs._log = [];
+
+    script(usersDir, '201601011200-AddUser');
+    script(usersDir, '201602011200-AddEmail');
+    script(ordersDir, '201601051200-AddOrder');
+    script(ordersDir, '201601061200-AddOwner', {
+      users: '201602011200-AddEmail'
+    });
+
+    MicroMigration._overrideFs(overrideFs);
+    MicroMigration._overrideRequire(overrideFs._require);
+    orchestrator = new MicroMigration.Orchestrator(sequelize);
+    orchestrator.add('orders', ordersDir);
+    orchestrator.add('users', usersDir);
+
+    sequelize.sync().then(() => done()).catch(done);
+  });
+
+  describe('#add()', () => {
+    it('should register applications in order', () =>
+      expect(orchestrator.applications).to.be.deep.equal(['orders', 'users']));
+
+    it('should refuse duplicate applications', () =>
+      expect(() => orchestrator.add('users', usersDir)).to.throw(Error));
+
+    it('should accept migration instances', () => {
+      const migration = new MicroMigration(sequelize, 'billing', __dirname);
+      expect(orchestrator.add(migration)).to.be.equal(migration);
+      expect(orchestrator.migration('billing')).to.be.equal(migration);
+    });
+  });
+
+  describe('#listUp()', () => {
+    it('should order steps by declared dependencies', () =>
+      task.spawn(function* () {
+        expect(yield orchestrator.listUp()).to.be.deep.equal([
+          ['orders', '201601051200-AddOrder', 'up'],
+          ['users', '201601011200-AddUser', 'up'],
+          ['users', '201602011200-AddEmail', 'up'],
+          ['orders', '201601061200-AddOwner', 'up']
+        ]);
+      }));
+
+    it('should accept dependencies applied already', () =>
+      task.spawn(function* () {
+        yield orchestrator.migration('users').up();
+        expect(yield orchestrator.listUp({orders: null})).to.be.deep.equal([
+          ['orders', '201601051200-AddOrder', 'up'],
+          ['orders', '201601061200-AddOwner', 'up']
+        ]);
+      }));
+
+    it('should fail on unsatisfiable dependencies', () =>
+      task.spawn(function* () {
+        try {
+          yield orchestrator.listUp({orders: null});
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal(
+            'orders 201601061200-AddOwner depends on users ' +
+            '201602011200-AddEmail which is not applied by this plan');
+        }
+      }));
+
+    it('should fail on unknown dependencies', () =>
+      task.spawn(function* () {
+        script(ordersDir, '201601051200-AddOrder', {billing: '1'});
+
+        try {
+          yield orchestrator.listUp();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal(
+            'orders 201601051200-AddOrder depends on application billing ' +
+            'which is not registered');
+        }
+      }));
+
+    it('should fail on cycles', () =>
+      task.spawn(function* () {
+        script(usersDir, '201601011200-AddUser', {
+          orders: '201601061200-AddOwner'
+        });
+
+        try {
+          yield orchestrator.listUp();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.match(/^cyclic migration dependencies/);
+        }
+      }));
+  });
+
+  describe('#listDown()', () => {
+    it('should revert dependents first', () =>
+      task.spawn(function* () {
+        yield orchestrator.up();
+        expect(yield orchestrator.listDown()).to.be.deep.equal([
+          ['orders', '201601061200-AddOwner', 'down'],
+          ['orders', '201601051200-AddOrder', 'down'],
+          ['users', '201602011200-AddEmail', 'down'],
+          ['users', '201601011200-AddUser', 'down']
+        ]);
+      }));
+
+    it('should refuse to revert versions other applications depend on', () =>
+      task.spawn(function* () {
+        yield orchestrator.up();
+
+        try {
+          yield orchestrator.listDown({users: null});
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal(
+            'can not revert users 201602011200-AddEmail, ' +
+            'orders 201601061200-AddOwner depends on it');
+        }
+      }));
+  });
+
+  describe('#up()', () => {
+    it('should execute global plan', () =>
+      task.spawn(function* () {
+        yield orchestrator.up();
+        expect(overrideFs._log).to.be.deep.equal([
+          ['orders', '201601051200-AddOrder', 'up'],
+          ['users', '201601011200-AddUser', 'up'],
+          ['users', '201602011200-AddEmail', 'up'],
+          ['orders', '201601061200-AddOwner', 'up']
+        ]);
+        expect(yield orchestrator.listUp()).to.be.deep.equal([]);
+      }));
+
+    it('should run plan once among orchestrators sharing database', () =>
+      task.spawn(function* () {
+        const others = [0, 1].map(() => {
+          const other = new MicroMigration.Orchestrator(sequelize, {
+            lock: {
+              interval: 10
+            }
+          });
+          other.add('orders', ordersDir);
+          other.add('users', usersDir);
+          return other;
+        });
+
+        yield Promise.all(others.map(x => x.up()));
+        expect(overrideFs._log).to.be.deep.equal([
+          ['orders', '201601051200-AddOrder', 'up'],
+          ['users', '201601011200-AddUser', 'up'],
+          ['users', '201602011200-AddEmail', 'up'],
+          ['orders', '201601061200-AddOwner', 'up']
+        ]);
+        expect(yield orchestrator.migration('orders').lockState())
+          .to.be.null;
+        expect(yield orchestrator.migration('users').lockState())
+          .to.be.null;
+      }));
+
+    it('should refuse to migrate dirty applications', () =>
+      task.spawn(function* () {
+        overrideFs._storage[path.join(usersDir, '201601011200-AddUser')].up =
+          () => Promise.reject(new Error('broken'));
+
+        try {
+          yield orchestrator.up();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal('broken');
+        }
+
+        try {
+          yield orchestrator.up();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.match(/^users is dirty since migrating up/);
+        }
+
+        expect(overrideFs._log).to.be.deep.equal([
+          ['orders', '201601051200-AddOrder', 'up']
+        ]);
+      }));
+
+    it('should rebase out-of-order migrations under rebase policy', () =>
+      task.spawn(function* () {
+        yield orchestrator.up();
+        overrideFs._files[ordersDir].push('201601051800-AddTotal.js');
+        script(ordersDir, '201601051800-AddTotal');
+        orchestrator.migration('orders')._clearCache();
+        overrideFs._log = [];
+
+        try {
+          yield orchestrator.up();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.match(/^migration might cause loss of data/);
+        }
+
+        yield orchestrator.up(undefined, false, {outOfOrder: 'rebase'});
+        expect(overrideFs._log).to.be.deep.equal([
+          ['orders', '201601061200-AddOwner', 'down'],
+          ['orders', '201601051800-AddTotal', 'up'],
+          ['orders', '201601061200-AddOwner', 'up']
+        ]);
+      }));
+  });
+
+  describe('#down()', () =>
+    it('should execute reverse plan', () =>
+      task.spawn(function* () {
+        yield orchestrator.up();
+        overrideFs._log = [];
+        yield orchestrator.down();
+        expect(overrideFs._log).to.be.deep.equal([
+          ['orders', '201601061200-AddOwner', 'down'],
+          ['orders', '201601051200-AddOrder', 'down'],
+          ['users', '201602011200-AddEmail', 'down'],
+          ['users', '201601011200-AddUser', 'down']
+        ]);
+      })));
+});
@@ -0,0 +1,65 @@
+"use strict";
+
+const schema = require('../lib/schema');
+const expect = require('chai').expect;
+
+const description = () => ({
+  tables: {
+    people: {
+      columns: {
+        id: {
+          type: 'INTEGER',
+          allowNull: false,
+          defaultValue: null,
+          primaryKey: true
+        },
+        name: {
+          type: 'TEXT',
+          allowNull: true,
+          defaultValue: null,
+          primaryKey: false
+        }
+      },
+      indexes: [{
+        name: 'people_name',
+        unique: false,
+        primary: false,
+        fields: ['name']
+      }],
+      foreignKeys: []
+    }
+  }
+});
+
+describe('schema', () =>
+  describe('#diff()', () => {
+    it('should find no differences between equal schemas', () =>
+      expect(schema.diff(description(), description())).to.be.deep.equal([]));
+
+    it('should report missing and unexpected tables', () => {
+      const actual = {
+        tables: {
+          other: description().tables.people
+        }
+      };
+
+      expect(schema.diff(description(), actual)).to.be.deep.equal([
+        'table people is missing',
+        'table other is unexpected'
+      ]);
+    });
+
+    it('should report changed columns and indexes', () => {
+      const actual = description();
+      actual.tables.people.columns.name.type = 'VARCHAR(255)';
+      actual.tables.people.indexes = [];
+
+      expect(schema.diff(description(), actual)).to.be.deep.equal([
+        'column people.name differs, expected {"name":"name","type":"TEXT",' +
+          '"allowNull":true,"defaultValue":null,"primaryKey":false} but ' +
+          'found {"name":"name","type":"VARCHAR(255)","allowNull":true,' +
+          '"defaultValue":null,"primaryKey":false}',
+        'index people.people_name is missing'
+      ]);
+    });
+  }));
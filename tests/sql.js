@@ -0,0 +1,71 @@
+"use strict";
+
+const sql = require('../lib/sql');
+const expect = require('chai').expect;
+
+describe('sql', () => {
+  describe('#parse()', () => {
+    it('should parse generic sql files', () =>
+      expect(sql.parse('201601011200-AddPerson.up.sql')).to.be.deep.equal({
+        version: '201601011200-AddPerson',
+        direction: 'up',
+        dialect: null
+      }));
+
+    it('should parse dialect specific sql files', () =>
+      expect(sql.parse('201601011200-AddPerson.postgres.down.sql'))
+        .to.be.deep.equal({
+          version: '201601011200-AddPerson',
+          direction: 'down',
+          dialect: 'postgres'
+        }));
+
+    it('should keep dots of names which are not dialects', () =>
+      expect(sql.parse('201601011200-Add.v2.up.sql').version)
+        .to.be.equal('201601011200-Add.v2'));
+
+    it('should ignore other files', () =>
+      expect(sql.parse('201601011200-AddPerson.js')).to.be.null);
+  });
+
+  describe('#split()', () => {
+    it('should split statements', () =>
+      expect(sql.split('SELECT 1;\nSELECT 2;\n')).to.be.deep.equal([
+        'SELECT 1',
+        'SELECT 2'
+      ]));
+
+    it('should keep semicolons of strings and identifiers', () =>
+      expect(sql.split('SELECT \'a;\'\'b\', "c;d" FROM `e;f`; SELECT 2'))
+        .to.be.deep.equal([
+          'SELECT \'a;\'\'b\', "c;d" FROM `e;f`',
+          'SELECT 2'
+        ]));
+
+    it('should skip escaped quotes of dialects using backslashes', () => {
+      const script = 'INSERT INTO t VALUES (\'it\\\'s; ok\'); SELECT 1';
+
+      expect(sql.split(script, 'mysql')).to.be.deep.equal([
+        'INSERT INTO t VALUES (\'it\\\'s; ok\')',
+        'SELECT 1'
+      ]);
+      expect(sql.split('SELECT E\'a\\\';b\', \'c\\\'; SELECT \'d\'',
+        'postgres')).to.be.deep.equal([
+          'SELECT E\'a\\\';b\', \'c\\\'',
+          'SELECT \'d\''
+        ]);
+    });
+
+    it('should keep semicolons of comments', () =>
+      expect(sql.split('-- a;b\nSELECT /* c;d */ 1; -- e;\n'))
+        .to.be.deep.equal(['-- a;b\nSELECT /* c;d */ 1']));
+
+    it('should keep dollar quoted bodies', () =>
+      expect(sql.split('CREATE FUNCTION f() RETURNS int AS $body$ ' +
+        'SELECT 1; $body$ LANGUAGE sql; SELECT 2;')).to.be.deep.equal([
+          'CREATE FUNCTION f() RETURNS int AS $body$ SELECT 1; $body$ ' +
+          'LANGUAGE sql',
+          'SELECT 2'
+        ]));
+  });
+});
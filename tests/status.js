@@ -0,0 +1,63 @@
+"use strict";
+
+const formatStatus = require('../lib/status');
+const expect = require('chai').expect;
+
+const report = {
+  application: 'myApplication',
+  current: '201601101200-AddName',
+  dirty: null,
+  requiresMigration: true,
+  summary: {
+    'applied': 1,
+    'pending': 1,
+    'out-of-order': 1,
+    'missing': 0
+  },
+  versions: [{
+    version: '201601011200-AddPerson',
+    state: 'out-of-order',
+    appliedAt: null
+  }, {
+    version: '201601101200-AddName',
+    state: 'applied',
+    appliedAt: Date.UTC(2016, 0, 10, 12)
+  }, {
+    version: '201602011403-Remove',
+    state: 'pending',
+    appliedAt: null
+  }]
+};
+
+describe('formatStatus', () => {
+  describe('#table()', () => {
+    it('should print one row per version and summary', () =>
+      expect(formatStatus.table(report)).to.be.equal([
+        'application: myApplication',
+        'current: 201601101200-AddName',
+        '[!] 201601011200-AddPerson  out-of-order',
+        '[x] 201601101200-AddName    applied       2016-01-10T12:00:00.000Z',
+        '[ ] 201602011403-Remove     pending',
+        'applied 1, pending 1, out-of-order 1, missing 0',
+        ''
+      ].join('\n')));
+
+    it('should print dirty state', () =>
+      expect(formatStatus.table(Object.assign({}, report, {
+        dirty: {
+          version: '201602011403-Remove',
+          direction: 'up',
+          startedAt: 0
+        }
+      }))).to.contain('\ndirty: up 201602011403-Remove\n'));
+  });
+
+  describe('#json()', () =>
+    it('should write timestamps as iso dates', () => {
+      const result = JSON.parse(formatStatus.json(report));
+      expect(result.summary).to.be.deep.equal(report.summary);
+      expect(result.versions.map(x => x.appliedAt)).to.be.deep.equal([
+        null, '2016-01-10T12:00:00.000Z', null
+      ]);
+    }));
+});
@@ -0,0 +1,199 @@
+"use strict";
+
+const MicroMigration = require('../index');
+const expect = require('chai').expect;
+const Sequelize = require('sequelize');
+const task = require('xcane').task;
+const path = require('path');
+
+const versions = ['201601011200-AddUser', '201602011200-AddEmail'];
+
+let overrideFs = {
+  _broken: [],
+  _log: [],
+  readdir: () => Promise.resolve(versions.map(x => `${x}.js`)),
+  readFile: file => Promise.resolve(path.basename(file)),
+  _require: x => ({
+    up: (queryInterface, sequelize) => {
+      if (overrideFs._broken.indexOf(sequelize.tenant) >= 0) {
+        return Promise.reject(new Error(`${sequelize.tenant} is broken`));
+      }
+
+      overrideFs._log.push([sequelize.tenant, path.basename(x), 'up']);
+      return Promise.resolve();
+    },
+    down: (queryInterface, sequelize) => {
+      overrideFs._log.push([sequelize.tenant, path.basename(x), 'down']);
+      return Promise.resolve();
+    }
+  })
+};
+
+const connect = tenant => {
+  const sequelize = new Sequelize({
+    dialect: 'sqlite',
+    storage: ':memory:',
+    logging: false
+  });
+
+  sequelize.tenant = tenant;
+  return sequelize;
+};
+
+describe('TenantRunner', () => {
+  let connections = null;
+  let runner = null;
+
+  beforeEach(() => {
+    overrideFs._broken = [];
+    overrideFs._log = [];
+    MicroMigration._overrideFs(overrideFs);
+    MicroMigration._overrideRequire(overrideFs._require);
+
+    connections = {
+      a: connect('a'),
+      b: connect('b'),
+      c: connect('c')
+    };
+    runner = new MicroMigration.TenantRunner(
+      connections, 'users', __dirname, {concurrency: 2});
+  });
+
+  describe('#migration()', () =>
+    it('should create bookkeeping tables of fresh tenants only', () =>
+      task.spawn(function* () {
+        connections.a.define('Other', {});
+        yield runner.migration('a');
+
+        const tables = (yield connections.a.getQueryInterface()
+          .showAllTables()).map(x => (typeof x === 'string' ? x : x.tableName));
+        expect(tables).to.include('SequelizeMicroMigrationLocks');
+        expect(tables).to.not.include('Others');
+      })));
+
+  describe('#tenants', () =>
+    it('should name tenants by keys of connections', () =>
+      expect(new MicroMigration.TenantRunner(
+        [connect('a'), connect('b')], 'users', __dirname).tenants)
+        .to.be.deep.equal(['0', '1'])));
+
+  describe('#up()', () => {
+    it('should migrate every tenant', () =>
+      task.spawn(function* () {
+        const report = yield runner.up();
+        expect(report.succeeded).to.be.deep.equal(['a', 'b', 'c']);
+        expect(report.failed).to.be.deep.equal([]);
+        expect(report.skipped).to.be.deep.equal([]);
+
+        for (const tenant of runner.tenants) {
+          expect(yield (yield runner.migration(tenant)).current())
+            .to.be.equal(versions[1]);
+        }
+      }));
+
+    it('should skip remaining tenants on failure', () =>
+      task.spawn(function* () {
+        overrideFs._broken = ['a'];
+        runner = new MicroMigration.TenantRunner(
+          connections, 'users', __dirname);
+
+        const report = yield runner.up();
+        expect(report.succeeded).to.be.deep.equal([]);
+        expect(report.failed).to.be.deep.equal(['a']);
+        expect(report.skipped).to.be.deep.equal(['b', 'c']);
+        expect(report.errors.a.message).to.be.equal('a is broken');
+      }));
+
+    it('should continue after failure if asked to', () =>
+      task.spawn(function* () {
+        overrideFs._broken = ['b'];
+        runner = new MicroMigration.TenantRunner(
+          connections, 'users', __dirname, {stopOnFailure: false});
+
+        const report = yield runner.up();
+        expect(report.succeeded).to.be.deep.equal(['a', 'c']);
+        expect(report.failed).to.be.deep.equal(['b']);
+        expect(report.skipped).to.be.deep.equal([]);
+      }));
+
+    it('should migrate selected tenants only', () =>
+      task.spawn(function* () {
+        const report = yield runner.up(versions[0], false, {tenants: ['c']});
+        expect(report.succeeded).to.be.deep.equal(['c']);
+        expect(overrideFs._log).to.be.deep.equal([
+          ['c', versions[0], 'up']
+        ]);
+      }));
+
+    it('should refuse unknown tenants', () =>
+      task.spawn(function* () {
+        try {
+          yield runner.up(undefined, false, {tenants: ['d']});
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal('tenants d of users do not exist');
+        }
+      }));
+  });
+
+  describe('#down()', () =>
+    it('should revert every tenant', () =>
+      task.spawn(function* () {
+        yield runner.up();
+        overrideFs._log = [];
+
+        const report = yield runner.down(versions[0]);
+        expect(report.succeeded).to.be.deep.equal(['a', 'b', 'c']);
+        expect(overrideFs._log.filter(x => x[2] === 'down').length)
+          .to.be.equal(3);
+      })));
+
+  describe('#resume()', () => {
+    it('should run last command on failed and skipped tenants', () =>
+      task.spawn(function* () {
+        overrideFs._broken = ['b'];
+        runner = new MicroMigration.TenantRunner(
+          connections, 'users', __dirname);
+
+        expect((yield runner.up()).skipped).to.be.deep.equal(['c']);
+        overrideFs._broken = [];
+        overrideFs._log = [];
+
+        const report = yield runner.resume();
+        expect(report.succeeded).to.be.deep.equal(['b', 'c']);
+        expect(overrideFs._log.map(x => x[0])).to.be.deep.equal([
+          'b', 'b', 'c', 'c'
+        ]);
+      }));
+
+    it('should refuse to resume without a run', () =>
+      task.spawn(function* () {
+        try {
+          yield runner.resume();
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.be.equal(
+            'tenants of users have no run to resume');
+        }
+      }));
+  });
+
+  describe('connection factory', () => {
+    it('should connect tenants on demand', () =>
+      task.spawn(function* () {
+        const connected = [];
+        runner = new MicroMigration.TenantRunner(tenant => {
+          connected.push(tenant);
+          return connect(tenant);
+        }, 'users', __dirname, {tenants: ['x', 'y']});
+
+        expect(connected).to.be.deep.equal([]);
+        expect((yield runner.up()).succeeded).to.be.deep.equal(['x', 'y']);
+        expect(connected).to.be.deep.equal(['x', 'y']);
+      }));
+
+    it('should require tenants along with a factory', () =>
+      expect(() => new MicroMigration.TenantRunner(connect, 'users',
+        __dirname)).to.throw(Error, /are required/));
+  });
+});
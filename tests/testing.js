@@ -0,0 +1,108 @@
+"use strict";
+
+const MicroMigration = require('../index');
+const expect = require('chai').expect;
+const Sequelize = require('sequelize');
+const task = require('xcane').task;
+const path = require('path');
+
+let overrideFs = {
+  _files: [],
+  _storage: {},
+  readdir: () => Promise.resolve(overrideFs._files),
+  readFile: file => Promise.resolve(path.basename(file)),
+  _require: x => overrideFs._storage[path.basename(x)]
+};
+
+describe('testing', () => {
+  let sequelize = null;
+  let migration = null;
+
+  beforeEach(done => {
+    sequelize = new Sequelize({
+      dialect: 'sqlite',
+      storage: ':memory:',
+      logging: false
+    });
+
+    overrideFs._files = ['201601011200-AddPerson.js', '201601101200-AddName.js'];
+    overrideFs._storage = {
+      '201601011200-AddPerson': {
+        up: queryInterface => queryInterface.createTable('people', {
+          id: {
+            type: Sequelize.INTEGER,
+            primaryKey: true
+          }
+        }),
+        down: queryInterface => queryInterface.dropTable('people')
+      },
+      '201601101200-AddName': {
+        up: queryInterface => queryInterface.addColumn('people', 'name', {
+          type: Sequelize.TEXT
+        }),
+        down: queryInterface => queryInterface.removeColumn('people', 'name')
+      }
+    };
+
+    MicroMigration._overrideFs(overrideFs);
+    MicroMigration._overrideRequire(overrideFs._require);
+    migration = new MicroMigration(sequelize, 'myApplication', __dirname);
+
+    sequelize.sync().then(() => done()).catch(done);
+  });
+
+  describe('#checkReversibility()', () => {
+    it('should pass reversible migrations', () =>
+      task.spawn(function* () {
+        expect(yield MicroMigration.testing.checkReversibility(migration, {
+          tables: ['people']
+        })).to.be.deep.equal({
+          versions: ['201601011200-AddPerson', '201601101200-AddName'],
+          skipped: []
+        });
+        expect(yield migration.current()).to.be.equal('201601101200-AddName');
+      }));
+
+    it('should report first version whose down is incomplete', () =>
+      task.spawn(function* () {
+        overrideFs._storage['201601101200-AddName'].down = () =>
+          Promise.resolve();
+
+        try {
+          yield MicroMigration.testing.checkReversibility(migration, {
+            tables: ['people']
+          });
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.version).to.be.equal('201601101200-AddName');
+          expect(err.differences).to.be.deep.equal([
+            'column people.name is unexpected'
+          ]);
+          expect(err.message).to.be.equal('myApplication ' +
+            '201601101200-AddName is not reversible, down does not restore ' +
+            'prior schema: column people.name is unexpected');
+        }
+      }));
+
+    it('should skip irreversible migrations', () =>
+      task.spawn(function* () {
+        overrideFs._storage['201601101200-AddName'].irreversible = true;
+
+        expect((yield MicroMigration.testing.checkReversibility(migration, {
+          tables: ['people']
+        })).skipped).to.be.deep.equal(['201601101200-AddName']);
+      }));
+
+    it('should refuse databases having applied migrations', () =>
+      task.spawn(function* () {
+        yield migration.up(1);
+
+        try {
+          yield MicroMigration.testing.checkReversibility(migration);
+          throw new Error('not thrown');
+        } catch (err) {
+          expect(err.message).to.match(/^reversibility of myApplication/);
+        }
+      }));
+  });
+});